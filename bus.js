@@ -1,7 +1,7 @@
 import crypto from "crypto";
 import { Logger } from "./logger.js";
 import { lazy } from "./util/lazy.js";
-const DO_NOT_LOG = new Set(["stacks.metadata"]);
+const DO_NOT_LOG = new Set(["stacks.metadata", "stacks.synthesized"]);
 export const useBus = lazy(() => {
     const subscriptions = {};
     function subscribers(type) {
@@ -1,4 +1,5 @@
 export declare const useCache: () => Promise<{
     write: (key: string, data: string) => Promise<void>;
     read: (key: string) => Promise<string | null>;
+    removeSync: (key: string) => void;
 }>;
@@ -1,5 +1,6 @@
 import path from "path";
 import fs from "fs/promises";
+import fsSync from "fs";
 import { useProject } from "./project.js";
 import { Logger } from "./logger.js";
 import { lazy } from "./util/lazy.js";
@@ -24,8 +25,15 @@ export const useCache = lazy(async () => {
             return null;
         }
     }
+    // Sync so it can run in an "exit" listener
+    function removeSync(key) {
+        const full = path.join(cache, key);
+        Logger.debug("Removing cache", full);
+        fsSync.rmSync(full, { force: true });
+    }
     return {
         write,
         read,
+        removeSync,
     };
 });
@@ -0,0 +1,2 @@
+import type { Program } from "../../program.js";
+export declare function auth(program: Program): void;
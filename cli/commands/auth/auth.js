@@ -0,0 +1,8 @@
+import { rotateKeys } from "./rotate-keys.js";
+export function auth(program) {
+    program.command("auth", "Manage the Auth constructs in your app", (yargs) => {
+        yargs.demandCommand(1);
+        rotateKeys(program);
+        return yargs;
+    });
+}
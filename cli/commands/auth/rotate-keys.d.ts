@@ -0,0 +1,17 @@
+/// <reference types="yargs" />
+import type { Program } from "../../program.js";
+export declare const rotateKeys: (program: Program) => import("yargs").Argv<{
+    stage: string | undefined;
+} & {
+    profile: string | undefined;
+} & {
+    region: string | undefined;
+} & {
+    verbose: boolean | undefined;
+} & {
+    role: string | undefined;
+} & {
+    future: boolean | undefined;
+} & {
+    id: string;
+}>;
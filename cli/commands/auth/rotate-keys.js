@@ -0,0 +1,79 @@
+export const rotateKeys = (program) => program.command("rotate-keys <id>", "Phase a new signing key in, run it twice to start signing with the new key", (yargs) => yargs.positional("id", {
+    type: "string",
+    describe: "ID of the Auth construct",
+    demandOption: true,
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Config } = await import("../../../config.js");
+    const { Colors } = await import("../../colors.js");
+    const { VisibleError } = await import("../../../error.js");
+    const { blue } = await import("colorette");
+    const { createSpinner } = await import("../../spinner.js");
+    const { createSSMBackend } = await import("../../../secrets.js");
+    const { useIOT } = await import("../../../iot.js");
+    const { parseKeys, rotateKeys, serializeKeys } = await import("../../../util/auth-keys.js");
+    try {
+        const publicKey = `${args.id}PublicKey`;
+        const publicKeys = `${args.id}PublicKeys`;
+        const privateKey = `${args.id}PrivateKey`;
+        // The keys are kept in SSM whatever the secrets backend is
+        const ssm = createSSMBackend();
+        const pathOf = (key) => Config.pathFor({ id: key, type: "Secret", prop: "value" });
+        const keys = parseKeys(await ssm
+            .get(pathOf(privateKey))
+            .catch((e) => {
+            if (e.name === "ParameterNotFound")
+                return undefined;
+            throw e;
+        }));
+        if (!keys.length)
+            throw new VisibleError(`No keys found for the "${args.id}" Auth, make sure it has been deployed`);
+        const rotated = rotateKeys(keys);
+        const values = serializeKeys(rotated);
+        // The public keys are updated first so a key is never used for
+        // signing before it can be verified
+        const setting = createSpinner(` Updating the keys of "${args.id}"`).start();
+        await ssm.put(pathOf(publicKeys), values.publicKeys);
+        await ssm.put(pathOf(publicKey), values.publicKey);
+        await ssm.put(pathOf(privateKey), values.privateKey);
+        const iot = await useIOT();
+        for (const name of [publicKeys, publicKey, privateKey]) {
+            await iot.publish(`${iot.prefix}/events`, "config.secret.updated", {
+                name,
+            });
+        }
+        setting.succeed();
+        const restarting = createSpinner(` Reloading all resources using ${blue(publicKey)}...`).start();
+        const { edgeSites, sites, placeholderSites, functions } = await Config.restart([publicKey, publicKeys, privateKey]);
+        restarting.stop().clear();
+        const siteCount = sites.length + placeholderSites.length;
+        if (siteCount > 0) {
+            Colors.line(Colors.success(`✔ `), siteCount === 1
+                ? `Reloaded ${siteCount} site`
+                : `Reloaded ${siteCount} sites`);
+        }
+        const functionCount = functions.length;
+        if (functionCount > 0) {
+            Colors.line(Colors.success(`✔ `), functionCount === 1
+                ? `Reloaded ${functionCount} function`
+                : `Reloaded ${functionCount} functions`);
+        }
+        edgeSites.forEach(({ id, type }) => {
+            Colors.line(Colors.primary(`➜ `), `Redeploy the "${id}" ${type} to use the new keys`);
+        });
+        const next = rotated.find((key) => key.status === "next");
+        if (next) {
+            Colors.line(Colors.primary(`➜ `), `Published key ${next.kid}`);
+            Colors.line(Colors.dim(`   Run the command again to start signing with it once verifiers that cache the keys have picked it up`));
+        }
+        else {
+            const current = rotated.find((key) => key.status === "current");
+            Colors.line(Colors.primary(`➜ `), `Signing with key ${current.kid}`);
+            Colors.line(Colors.dim(`   Tokens signed with the previous key are accepted until the next rotation`));
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,8 @@
+import { trigger } from "./trigger.js";
+export function cron(program) {
+    program.command("cron", "Manage the Cron jobs in your app", (yargs) => {
+        yargs.demandCommand(1);
+        trigger(program);
+        return yargs;
+    });
+}
@@ -0,0 +1,26 @@
+export const trigger = (program) => program.command("trigger <id>", "Run the job of a Cron right away", (yargs) => yargs
+    .positional("id", {
+    type: "string",
+    describe: "ID of the Cron construct",
+    demandOption: true,
+})
+    .example(`sst cron trigger Nightly`, "Run the job of the Nightly cron"), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { invokeLocally, printResult } = await import("../../dev-session.js");
+    const { Colors } = await import("../../colors.js");
+    try {
+        const result = await invokeLocally({
+            path: "/cron/trigger",
+            body: { id: args.id },
+            async offline() {
+                const { useCronJobs } = await import("../../../runtime/cron.js");
+                return useCronJobs().trigger(args.id);
+            },
+        });
+        Colors.line(Colors.dim(`Triggered ${args.id} as ${result.requestID}`));
+        await exit(printResult(result));
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -17,7 +17,9 @@ export const deploy = (program) => program.command("deploy [filter]", "Deploy yo
     const { dim, blue, bold } = await import("colorette");
     const { exit, exitWithError } = await import("../program.js");
     const { useProject } = await import("../../project.js");
-    const { SilentError } = await import("../../error.js");
+    const { SilentError, VisibleError } = await import("../../error.js");
+    const { Config } = await import("../../config.js");
+    const { useConstructMetadata } = await import("../../constructs/App.js");
     const { loadAssembly, useAppMetadata, saveAppMetadata, Stacks } = await import("../../stacks/index.js");
     const { getCiInfo } = await import("../ci-info.js");
     const { render } = await import("ink");
@@ -83,6 +85,15 @@ export const deploy = (program) => program.command("deploy [filter]", "Deploy yo
                 isActiveStack,
             });
             spinner.succeed();
+            // Catch missing and invalid secrets before CloudFormation starts,
+            // previously built output has no construct metadata to check
+            const checking = createSpinner(" Checking secrets...").start();
+            const errors = await Config.validateSecrets(useConstructMetadata().all);
+            if (errors.length) {
+                checking.fail();
+                throw new VisibleError("Some secrets are not ready to be deployed", ...errors.map((error) => `  - ${error}`), `Set them with "sst secrets set" and try again`);
+            }
+            checking.stop().clear();
             return result;
         })();
         const target = assembly.stacks.filter((s) => isActiveStack(s.id));
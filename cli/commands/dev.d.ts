@@ -14,6 +14,14 @@ export declare const dev: (program: Program) => import("yargs").Argv<{
     future: boolean | undefined;
 } & {
     "increase-timeout": boolean | undefined;
+} & {
+    offline: boolean | undefined;
+} & {
+    concurrency: number | undefined;
+} & {
+    cron: boolean | undefined;
+} & {
+    inspect: string | undefined;
 }>;
 declare module "../../bus.js" {
     interface Events {
@@ -1,7 +1,24 @@
 import { lazy } from "../../util/lazy.js";
-export const dev = (program) => program.command(["dev", "start"], "Work on your app locally", (yargs) => yargs.option("increase-timeout", {
+export const dev = (program) => program.command(["dev", "start"], "Work on your app locally", (yargs) => yargs
+    .option("increase-timeout", {
     type: "boolean",
     description: "Increase function timeout",
+})
+    .option("offline", {
+    type: "boolean",
+    description: "Run functions locally without connecting to AWS",
+})
+    .option("concurrency", {
+    type: "number",
+    description: "Maximum number of workers per function for local invocations",
+})
+    .option("cron", {
+    type: "boolean",
+    description: "Run the jobs of Cron constructs locally on their schedule",
+})
+    .option("inspect", {
+    type: "string",
+    description: "Start Node.js functions with the debugger enabled, optionally filtered by a comma separated list of function IDs or handlers",
 }), async (args) => {
     const { Colors } = await import("../colors.js");
     const { printHeader } = await import("../ui/header.js");
@@ -9,7 +26,14 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
     const path = await import("path");
     const { useRuntimeWorkers } = await import("../../runtime/workers.js");
     const { useIOTBridge } = await import("../../runtime/iot.js");
-    const { useRuntimeServer } = await import("../../runtime/server.js");
+    const { useRuntimeServer, useRuntimeServerConfig, useRuntimeServerDiscovery, } = await import("../../runtime/server.js");
+    const { useApiEmulator } = await import("../../runtime/api.js");
+    const { useQueueEmulator } = await import("../../runtime/queue.js");
+    const { useCronJobs } = await import("../../runtime/cron.js");
+    const { useEventBusEmulator } = await import("../../runtime/event-bus.js");
+    const { useInvocationHistory } = await import("../../runtime/history.js");
+    const { useWorkerInspector } = await import("../../runtime/inspector.js");
+    const { useFunctionInvoker } = await import("../../runtime/invoke.js");
     const { useBus } = await import("../../bus.js");
     const { useWatcher } = await import("../../watcher.js");
     const { useAppMetadata, saveAppMetadata, Stacks } = await import("../../stacks/index.js");
@@ -39,6 +63,12 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
             console.log(yellow(`Warning: ${bold(`sst start`)} has been renamed to ${bold(`sst dev`)}`));
         }
         const project = useProject();
+        if (args.inspect !== undefined)
+            useWorkerInspector().enable(args.inspect);
+        if (args.concurrency !== undefined)
+            useFunctionInvoker().setConcurrency(args.concurrency);
+        if (args["increase-timeout"])
+            useFunctionInvoker().setIncreaseTimeout(true);
         const useFunctionLogger = lazy(async () => {
             const bus = useBus();
             const colors = ["#01cdfe", "#ff71ce", "#05ffa1", "#b967ff"];
@@ -65,6 +95,16 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
             bus.subscribe("function.invoked", async (evt) => {
                 Colors.line(prefix(evt.properties.requestID), Colors.dim.bold("Invoked"), Colors.dim(useFunctions().fromID(evt.properties.functionID)?.handler));
             });
+            bus.subscribe("function.scaled", async (evt) => {
+                const info = useFunctions().fromID(evt.properties.functionID);
+                if (evt.properties.size === 1)
+                    return;
+                Colors.line(Colors.dim(Colors.prefix, "Scaled", info?.handler, `to ${evt.properties.size}/${evt.properties.limit} workers`));
+            });
+            bus.subscribe("function.throttled", async (evt) => {
+                const info = useFunctions().fromID(evt.properties.functionID);
+                Colors.line(Colors.dim(Colors.prefix), Colors.warning.bold("Throttled"), Colors.dim(info?.handler), Colors.warning(`reserved concurrency of ${evt.properties.limit} exceeded`));
+            });
             bus.subscribe("worker.stdout", async (evt) => {
                 const info = useFunctions().fromID(evt.properties.functionID);
                 prefix(evt.properties.requestID);
@@ -84,6 +124,43 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                     Colors.line(prefix(evt.properties.requestID), Colors.dim(("+" + (Date.now() - started) + "ms").padEnd(7)), Colors.dim(line));
                 }
             });
+            // The URL has a new ID every time the worker restarts but the port
+            // stays the same, debuggers attached by port reconnect on their own
+            const inspecting = new Set();
+            bus.subscribe("worker.inspector", async (evt) => {
+                if (!evt.properties.url)
+                    return;
+                const host = evt.properties.url.replace("ws://", "").split("/")[0];
+                if (inspecting.has(host))
+                    return;
+                inspecting.add(host);
+                const info = useFunctions().fromID(evt.properties.functionID);
+                Colors.line(Colors.primary(`➜ `), Colors.bold(`Debugger for ${info?.handler}:`), host);
+                Colors.line(`  `, Colors.dim(`Attach from chrome://inspect or your editor using this port`));
+            });
+            bus.subscribe("api.emulator.started", async (evt) => {
+                Colors.line(Colors.primary(`➜ `), Colors.bold(`Local ${evt.properties.id}:`), evt.properties.url);
+            });
+            bus.subscribe("eventbus.emulator.started", async (evt) => {
+                Colors.line(Colors.primary(`➜ `), Colors.bold(`Local event bus:`), evt.properties.url);
+            });
+            bus.subscribe("eventbus.emulator.retrying", async (evt) => {
+                const info = useFunctions().fromID(evt.properties.functionID);
+                Colors.line(Colors.warning(`✖ `), Colors.dim(`Retrying event ${evt.properties.eventID} for ${info?.handler} in ${evt.properties.delay}s, attempt ${evt.properties.attempts}`));
+            });
+            bus.subscribe("eventbus.emulator.failed", async (evt) => {
+                const info = useFunctions().fromID(evt.properties.functionID);
+                Colors.line(Colors.danger(`✖ `), Colors.dim(`Giving up on event ${evt.properties.eventID} for ${info?.handler} after ${evt.properties.attempts - 1} retries`));
+            });
+            bus.subscribe("cron.triggered", async (evt) => {
+                Colors.line(Colors.primary(`➜ `), Colors.bold(`Running ${evt.properties.id} cron`));
+            });
+            bus.subscribe("queue.emulator.started", async (evt) => {
+                Colors.line(Colors.primary(`➜ `), Colors.bold(`Local ${evt.properties.id} queue:`), evt.properties.url);
+            });
+            bus.subscribe("queue.emulator.deadlettered", async (evt) => {
+                Colors.line(Colors.warning(`✖ `), Colors.dim(`Message ${evt.properties.messageId} in ${evt.properties.id} moved to`, evt.properties.target || "the dead-letter queue"));
+            });
             bus.subscribe("function.build.started", async (evt) => {
                 const info = useFunctions().fromID(evt.properties.functionID);
                 if (!info)
@@ -135,6 +212,8 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                             continue;
                         Colors.line("  ", `${dim(line)}`);
                     }
+                    if (evt.properties.errorType === "Sandbox.Timedout")
+                        Colors.line("  ", dim(`Run "sst dev --increase-timeout" to give functions more time while debugging`));
                     end(evt.properties.requestID);
                 }, 100);
             });
@@ -165,6 +244,7 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                     project.stacks = sstConfig.stacks;
                     const assembly = await Stacks.synth({
                         increaseTimeout: args["increase-timeout"],
+                        offline: args.offline,
                         scriptVersion,
                         fn: project.stacks,
                         outDir: `.sst/cdk.out`,
@@ -189,6 +269,14 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                         spinner.succeed(Colors.dim(` Built`));
                         Colors.gap();
                     }
+                    if (args.offline) {
+                        await printInvokeEndpoints();
+                        lastDeployed = next;
+                        isWorking = false;
+                        if (isDirty)
+                            build();
+                        return;
+                    }
                     deploy(assembly);
                 }
                 catch (ex) {
@@ -251,6 +339,16 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                 if (isDirty)
                     build();
             }
+            async function printInvokeEndpoints() {
+                const cfg = await useRuntimeServerConfig();
+                Colors.line(Colors.primary(`➜ `), Colors.bold(`Running offline, invoke functions with:`));
+                for (const [functionID, props] of Object.entries(useFunctions().all)) {
+                    if (props.enableLiveDev === false)
+                        continue;
+                    Colors.line(`  `, Colors.dim(props.handler), `${cfg.url}/${cfg.INVOKE_API_VERSION}/functions/${functionID}/invocations`);
+                }
+                Colors.gap();
+            }
             async function checksum(cdkOutPath) {
                 const manifestPath = path.join(cdkOutPath, "manifest.json");
                 const cdkManifest = JSON.parse(await fs.readFile(manifestPath).then((x) => x.toString()));
@@ -300,7 +398,7 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
             });
         });
         const [appMetadata] = await Promise.all([
-            useAppMetadata(),
+            args.offline ? undefined : useAppMetadata(),
             useLocalServer({
                 key: "",
                 cert: "",
@@ -334,16 +432,21 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
         await printHeader({ console: true, hint: "ready!" });
         await useStackBuilder();
         await Promise.all([
-            useDisconnector(),
+            ...(args.offline
+                ? [useQueueEmulator(), useEventBusEmulator()]
+                : [useDisconnector(), useIOTBridge(), useMetadataCache()]),
             useRuntimeWorkers(),
-            useIOTBridge(),
             useRuntimeServer(),
+            useRuntimeServerDiscovery(),
+            useInvocationHistory(),
             usePothosBuilder(),
-            useMetadataCache(),
             useKyselyTypeGenerator(),
             useRDSWarmer(),
             useFunctionLogger(),
+            useApiEmulator(),
         ]);
+        if (args.cron)
+            useCronJobs().start();
     }
     catch (e) {
         await exitWithError(e);
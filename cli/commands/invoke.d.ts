@@ -0,0 +1,21 @@
+/// <reference types="yargs" />
+import type { Program } from "../program.js";
+export declare const invoke: (program: Program) => import("yargs").Argv<{
+    stage: string | undefined;
+} & {
+    profile: string | undefined;
+} & {
+    region: string | undefined;
+} & {
+    verbose: boolean | undefined;
+} & {
+    role: string | undefined;
+} & {
+    future: boolean | undefined;
+} & {
+    name: string;
+} & {
+    event: string | undefined;
+} & {
+    type: "sqs" | "s3" | "dynamodb" | "eventbridge" | "apigw" | "cron" | undefined;
+}>;
@@ -0,0 +1,55 @@
+export const invoke = (program) => program.command("invoke <name>", "Invoke a function locally with a sample event", (yargs) => yargs
+    .positional("name", {
+    type: "string",
+    describe: "ID or handler of the function",
+    demandOption: true,
+})
+    .option("event", {
+    type: "string",
+    describe: "Path to a JSON file with the event",
+})
+    .option("type", {
+    type: "string",
+    describe: "Type of event to generate when no event is passed in",
+    choices: ["sqs", "s3", "dynamodb", "eventbridge", "apigw", "cron"],
+})
+    .example(`sst invoke src/lambda.handler`, "Invoke with an event generated from what triggers the function")
+    .example(`sst invoke src/lambda.handler --type sqs`, "Invoke with a generated SQS event")
+    .example(`sst invoke src/lambda.handler --event event.json`, "Invoke with the event in a file"), async (args) => {
+    const fs = await import("fs/promises");
+    const { exit, exitWithError } = await import("../program.js");
+    const { invokeLocally, printResult } = await import("../dev-session.js");
+    const { VisibleError } = await import("../../error.js");
+    const { Colors } = await import("../colors.js");
+    try {
+        const event = args.event
+            ? JSON.parse(await fs.readFile(args.event).then((x) => x.toString()))
+            : undefined;
+        const result = await invokeLocally({
+            path: "/invoke",
+            body: {
+                name: args.name,
+                type: args.type,
+                event,
+            },
+            async offline() {
+                const { useFunctionInvoker } = await import("../../runtime/invoke.js");
+                const { useEventFixtures } = await import("../../runtime/fixtures.js");
+                const invoker = useFunctionInvoker();
+                const functionID = invoker.resolve(args.name);
+                if (!functionID)
+                    throw new VisibleError(`Function not found: ${args.name}`);
+                return invoker.invoke({
+                    functionID,
+                    event: event ??
+                        (await useEventFixtures().create({ functionID, type: args.type })),
+                });
+            },
+        });
+        Colors.line(Colors.dim(`Invoked ${args.name} as ${result.requestID}`));
+        await exit(printResult(result));
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
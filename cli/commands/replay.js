@@ -0,0 +1,34 @@
+export const replay = (program) => program.command("replay <id>", "Replay a recorded invocation in your sst dev session", (yargs) => yargs
+    .positional("id", {
+    type: "string",
+    describe: "Request ID of the invocation, or a function ID to replay its latest invocation",
+    demandOption: true,
+})
+    .example(`sst replay 8a5f0c4e-8d1b-4e0b-9f7c-2a1e3e6b7c9d`, "Replay a specific request")
+    .example(`sst replay c8f1e4d7a2b6`, "Replay the latest invocation of a function"), async (args) => {
+    const { exit, exitWithError } = await import("../program.js");
+    const { invokeLocally, printResult } = await import("../dev-session.js");
+    const { useInvocationHistory } = await import("../../runtime/history.js");
+    const { VisibleError } = await import("../../error.js");
+    const { Colors } = await import("../colors.js");
+    try {
+        const history = await useInvocationHistory();
+        const entry = await history.find(args.id);
+        if (!entry)
+            throw new VisibleError(`No recorded invocation found for "${args.id}"`);
+        const result = await invokeLocally({
+            path: "/replay",
+            body: {
+                functionID: entry.functionID,
+                event: entry.event,
+                clientContext: entry.context?.clientContext,
+                env: entry.env,
+            },
+        });
+        Colors.line(Colors.dim(`Replayed ${entry.requestID} as ${result.requestID}`));
+        await exit(printResult(result));
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
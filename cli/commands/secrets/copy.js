@@ -0,0 +1,91 @@
+export const copy = (program) => program.command("copy [names..]", "Copy secrets from one stage to another", (yargs) => yargs
+    .positional("names", {
+    type: "string",
+    array: true,
+    describe: "Names of the secrets to copy, defaults to all of them",
+})
+    .option("from", {
+    type: "string",
+    describe: "Stage to copy from",
+    demandOption: true,
+})
+    .option("to", {
+    type: "string",
+    describe: "Stage to copy to, defaults to the current stage",
+})
+    .option("overwrite", {
+    type: "boolean",
+    describe: "Replace secrets that are already set in the target stage",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Config } = await import("../../../config.js");
+    const { useProject } = await import("../../../project.js");
+    const { VisibleError } = await import("../../../error.js");
+    const { Colors } = await import("../../colors.js");
+    const { blue } = await import("colorette");
+    const { createSpinner } = await import("../../spinner.js");
+    try {
+        const project = useProject();
+        const to = args.to || project.config.stage;
+        if (args.from === to)
+            throw new VisibleError(`Cannot copy secrets from "${args.from}" to itself`);
+        const [source, target] = await Promise.all([
+            Config.secrets({ stage: args.from }),
+            Config.secrets({ stage: to }),
+        ]);
+        const names = args.names?.length
+            ? args.names
+            : Object.keys(source).filter((key) => source[key].value);
+        const missing = names.filter((name) => !source[name]?.value);
+        if (missing.length)
+            throw new VisibleError(`${missing.map((name) => `"${name}"`).join(", ")} not set in "${args.from}"`);
+        const skipped = names.filter((name) => !args.overwrite && target[name]?.value);
+        const copying = names.filter((name) => !skipped.includes(name));
+        skipped.forEach((name) => {
+            Colors.line(Colors.warning(`⚠ `), `Skipped "${name}", it is already set in "${to}". Pass in --overwrite to replace it.`);
+        });
+        if (copying.length === 0) {
+            await exit();
+            return;
+        }
+        // Copy secrets
+        const setting = createSpinner(` Copying ${copying.length} secrets from "${args.from}" to "${to}"`).start();
+        for (const name of copying) {
+            await Config.setSecret({
+                key: name,
+                value: source[name].value,
+                stage: to,
+            });
+        }
+        setting.succeed();
+        // Resources of other stages are reloaded on their next deploy
+        if (to !== project.config.stage) {
+            Colors.line(Colors.primary(`➜ `), `Redeploy the "${to}" stage to use the new secrets`);
+            await exit();
+            return;
+        }
+        // Restart functions & sites
+        const restarting = createSpinner(` Reloading all resources using ${blue(copying.join(", "))}...`).start();
+        const { edgeSites, sites, placeholderSites, functions } = await Config.restart(copying);
+        restarting.stop().clear();
+        const siteCount = sites.length + placeholderSites.length;
+        if (siteCount > 0) {
+            Colors.line(Colors.success(`✔ `), siteCount === 1
+                ? `Reloaded ${siteCount} site`
+                : `Reloaded ${siteCount} sites`);
+        }
+        const functionCount = functions.length;
+        if (functionCount > 0) {
+            Colors.line(Colors.success(`✔ `), functionCount === 1
+                ? `Reloaded ${functionCount} function`
+                : `Reloaded ${functionCount} functions`);
+        }
+        edgeSites.forEach(({ id, type }) => {
+            Colors.line(Colors.primary(`➜ `), `Redeploy the "${id}" ${type} to use the new secrets`);
+        });
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
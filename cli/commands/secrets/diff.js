@@ -0,0 +1,55 @@
+export const diff = (program) => program.command("diff", "Compare the secrets of two stages", (yargs) => yargs
+    .option("from", {
+    type: "string",
+    describe: "Stage to compare from, defaults to the current stage",
+})
+    .option("to", {
+    type: "string",
+    describe: "Stage to compare to",
+    demandOption: true,
+}), async (args) => {
+    const { gray } = await import("colorette");
+    const { Config } = await import("../../../config.js");
+    const { useProject } = await import("../../../project.js");
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Colors } = await import("../../colors.js");
+    try {
+        const from = args.from || useProject().config.stage;
+        const [source, target] = await Promise.all([
+            Config.secrets({ stage: from }),
+            Config.secrets({ stage: args.to }),
+        ]);
+        const keys = [...new Set([...Object.keys(source), ...Object.keys(target)])]
+            .filter((key) => source[key]?.value || target[key]?.value)
+            .sort();
+        let count = 0;
+        for (const key of keys) {
+            const a = source[key]?.value;
+            const b = target[key]?.value;
+            if (a === b)
+                continue;
+            count++;
+            if (!b) {
+                Colors.line(Colors.success(`+ ${key}`), gray(`${mask(a)} only in ${from}`));
+                continue;
+            }
+            if (!a) {
+                Colors.line(Colors.danger(`- ${key}`), gray(`${mask(b)} only in ${args.to}`));
+                continue;
+            }
+            Colors.line(Colors.warning(`~ ${key}`), gray(`${mask(a)} → ${mask(b)}`));
+        }
+        if (count === 0)
+            Colors.line(Colors.success(`✔ `), `"${from}" and "${args.to}" have the same secrets`);
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
+// Shows just enough of a value to tell two values apart
+function mask(value) {
+    if (value.length <= 8)
+        return "*".repeat(value.length);
+    return value.slice(0, 2) + "*".repeat(6) + value.slice(-2);
+}
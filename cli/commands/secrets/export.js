@@ -0,0 +1,52 @@
+export const exportSecrets = (program) => program.command("export", "Print the secrets in a format that can be loaded back in", (yargs) => yargs
+    .option("format", {
+    type: "string",
+    choices: ["env", "json"],
+    default: "env",
+})
+    .option("fallback", {
+    type: "boolean",
+    describe: "Export the fallback values",
+}), async (args) => {
+    const { Config } = await import("../../../config.js");
+    const { exit, exitWithError } = await import("../../program.js");
+    const { VisibleError } = await import("../../../error.js");
+    try {
+        const secrets = await Config.secrets();
+        const values = Object.fromEntries(Object.entries(secrets)
+            .map(([key, secret]) => [
+            key,
+            args.fallback ? secret.fallback : secret.value,
+        ])
+            .filter(([_, value]) => value !== undefined)
+            .sort(([a], [b]) => a.localeCompare(b)));
+        switch (args.format) {
+            case "json":
+                console.log(JSON.stringify(values, null, 2));
+                break;
+            case "env":
+                for (const [key, value] of Object.entries(values)) {
+                    const quoted = quoteValue(value);
+                    if (quoted === undefined)
+                        throw new VisibleError(`The value of "${key}" contains every quote character and cannot be exported as a .env file, use "--format json" instead`);
+                    console.log(`${key}=${quoted}`);
+                }
+                break;
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
+// Quotes values that dotenv would otherwise misread when loaded back in.
+// dotenv has no way to escape the quote character itself so values that
+// contain all of them can't be represented.
+function quoteValue(value) {
+    if (/^[\w\-.,:/@+=]*$/.test(value))
+        return value;
+    const quote = ["'", "`", '"'].find((char) => !value.includes(char));
+    if (!quote)
+        return;
+    return `${quote}${value}${quote}`;
+}
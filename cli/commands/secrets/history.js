@@ -0,0 +1,49 @@
+export const history = (program) => program.command("history <name>", "List the previous versions of a secret", (yargs) => yargs
+    .positional("name", {
+    type: "string",
+    describe: "Name of the secret",
+    demandOption: true,
+})
+    .option("fallback", {
+    type: "boolean",
+    describe: "Show the history of the fallback value",
+})
+    .option("values", {
+    type: "boolean",
+    describe: "Print the value of each version",
+}), async (args) => {
+    const { gray } = await import("colorette");
+    const { Config } = await import("../../../config.js");
+    const { exit, exitWithError } = await import("../../program.js");
+    const { SilentError } = await import("../../../error.js");
+    const { Colors } = await import("../../colors.js");
+    try {
+        const versions = await Config.secretHistory({
+            key: args.name,
+            fallback: args.fallback === true,
+        });
+        if (versions.length === 0) {
+            Colors.line(Colors.danger(`✖ `), `"${args.name}" is not set`);
+            throw new SilentError(`"${args.name}" is not set`);
+        }
+        versions.forEach((item, index) => {
+            const details = [
+                Colors.bold(`v${item.version}`),
+                item.updatedAt && gray(item.updatedAt.toISOString()),
+                item.updatedBy && `by ${item.updatedBy}`,
+                index === 0 && Colors.success("(current)"),
+            ].filter(Boolean);
+            Colors.line(...details);
+            if (args.values)
+                Colors.line(`  ${item.value}`);
+        });
+        if (!args.values && versions.length > 1) {
+            Colors.gap();
+            Colors.line(Colors.primary(`➜ `), `Run "sst secrets rollback ${args.name} --version <version>" to restore a previous value`);
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,60 @@
+export const rollback = (program) => program.command("rollback <name>", "Restore a previous version of a secret", (yargs) => yargs
+    .positional("name", {
+    type: "string",
+    describe: "Name of the secret",
+    demandOption: true,
+})
+    .option("version", {
+    type: "number",
+    describe: "Version to restore, see sst secrets history",
+    demandOption: true,
+})
+    .option("fallback", {
+    type: "boolean",
+    describe: "Restore the fallback value",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Config } = await import("../../../config.js");
+    const { Colors } = await import("../../colors.js");
+    const { blue } = await import("colorette");
+    const { createSpinner } = await import("../../spinner.js");
+    try {
+        // Restore secret value
+        const restoring = createSpinner(` Restoring "${args.name}" to version ${args.version}`).start();
+        try {
+            await Config.rollbackSecret({
+                key: args.name,
+                version: args.version,
+                fallback: args.fallback === true,
+            });
+        }
+        catch (e) {
+            restoring.fail();
+            throw e;
+        }
+        restoring.succeed();
+        // Restart functions & sites
+        const restarting = createSpinner(` Reloading all resources using ${blue(args.name)}...`).start();
+        const { edgeSites, sites, placeholderSites, functions } = await Config.restart([args.name]);
+        restarting.stop().clear();
+        const siteCount = sites.length + placeholderSites.length;
+        if (siteCount > 0) {
+            Colors.line(Colors.success(`✔ `), siteCount === 1
+                ? `Reloaded ${siteCount} site`
+                : `Reloaded ${siteCount} sites`);
+        }
+        const functionCount = functions.length;
+        if (functionCount > 0) {
+            Colors.line(Colors.success(`✔ `), functionCount === 1
+                ? `Reloaded ${functionCount} function`
+                : `Reloaded ${functionCount} functions`);
+        }
+        edgeSites.forEach(({ id, type }) => {
+            Colors.line(Colors.primary(`➜ `), `Redeploy the "${id}" ${type} to use the restored secret`);
+        });
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
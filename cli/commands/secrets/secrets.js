@@ -1,7 +1,12 @@
+import { copy } from "./copy.js";
+import { diff } from "./diff.js";
+import { exportSecrets } from "./export.js";
 import { get } from "./get.js";
+import { history } from "./history.js";
 import { list } from "./list.js";
 import { load } from "./load.js";
 import { remove } from "./remove.js";
+import { rollback } from "./rollback.js";
 import { set } from "./set.js";
 export function secrets(program) {
     program.command("secrets", "Manage the secrets in your app", (yargs) => {
@@ -11,6 +16,11 @@ export function secrets(program) {
         load(program);
         list(program);
         remove(program);
+        history(program);
+        rollback(program);
+        diff(program);
+        copy(program);
+        exportSecrets(program);
         return yargs;
     });
 }
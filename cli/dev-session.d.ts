@@ -0,0 +1,18 @@
+import type { InvokeResult } from "../runtime/invoke.js";
+/**
+ * Runs a request through the running `sst dev` session so it uses the live
+ * configuration. Without a session the app is built without deploying it and
+ * `offline` runs the request against the local runtime instead.
+ */
+export declare function invokeLocally(input: {
+    /**
+     * Path of the runtime server the request is sent to
+     */
+    path: string;
+    body: any;
+    offline?: () => Promise<InvokeResult>;
+}): Promise<InvokeResult>;
+/**
+ * Prints the error or the response of an invocation, returns the exit code
+ */
+export declare function printResult(result: InvokeResult): number;
@@ -0,0 +1,72 @@
+import { Colors } from "./colors.js";
+/**
+ * Runs a request through the running `sst dev` session so it uses the live
+ * configuration. Without a session the app is built without deploying it and
+ * `offline` runs the request against the local runtime instead.
+ */
+export async function invokeLocally(input) {
+    const { fetch } = await import("undici");
+    const { useCache } = await import("../cache.js");
+    const { VisibleError } = await import("../error.js");
+    const cache = await useCache();
+    const runtime = await cache.read("runtime.json");
+    const response = runtime
+        ? await fetch(`${JSON.parse(runtime).url}${input.path}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(input.body),
+        }).catch(() => undefined)
+        : undefined;
+    if (response) {
+        const result = await response.json();
+        if (!response.ok)
+            throw new VisibleError(result.message);
+        return result;
+    }
+    if (!input.offline)
+        throw new VisibleError(`Could not find a running "sst dev" session, make sure it is running`);
+    await startOfflineRuntime();
+    return input.offline();
+}
+async function startOfflineRuntime() {
+    const { useProject } = await import("../project.js");
+    const { useBus } = await import("../bus.js");
+    const { Stacks } = await import("../stacks/index.js");
+    const { useRuntimeServer } = await import("../runtime/server.js");
+    const { useRuntimeWorkers } = await import("../runtime/workers.js");
+    const { createSpinner } = await import("./spinner.js");
+    const project = useProject();
+    const spinner = createSpinner({
+        color: "gray",
+        text: Colors.dim(" Building..."),
+    }).start();
+    const [metafile, sstConfig] = await Stacks.load(project.paths.config);
+    project.metafile = metafile;
+    project.stacks = sstConfig.stacks;
+    await Stacks.synth({
+        fn: project.stacks,
+        outDir: `.sst/cdk.out`,
+        mode: "dev",
+        offline: true,
+    });
+    spinner.stop();
+    await Promise.all([useRuntimeWorkers(), useRuntimeServer()]);
+    useBus().subscribe("worker.stdout", async (evt) => {
+        Colors.line(Colors.dim(evt.properties.message.trim()));
+    });
+}
+/**
+ * Prints the error or the response of an invocation, returns the exit code
+ */
+export function printResult(result) {
+    if (result.type === "error") {
+        Colors.line(Colors.danger.bold("Error:"), Colors.danger.bold(result.errorMessage));
+        for (const line of result.trace || []) {
+            Colors.line("  ", Colors.dim(line));
+        }
+        return 1;
+    }
+    if (result.body !== undefined && result.body !== null)
+        console.log(JSON.stringify(result.body, null, 2));
+    return 0;
+}
@@ -20,6 +20,8 @@ import { deploy } from "./commands/deploy.js";
 import { remove } from "./commands/remove.js";
 import { consoleCommand } from "./commands/console.js";
 import { secrets } from "./commands/secrets/secrets.js";
+import { cron } from "./commands/cron/cron.js";
+import { auth } from "./commands/auth/auth.js";
 import { update } from "./commands/update.js";
 import { transform } from "./commands/transform.js";
 import { diff } from "./commands/diff.js";
@@ -27,12 +29,16 @@ import { version } from "./commands/version.js";
 import { telemetry } from "./commands/telemetry.js";
 import { types } from "./commands/types.js";
 import { connect } from "./commands/connect.js";
+import { replay } from "./commands/replay.js";
+import { invoke } from "./commands/invoke.js";
 bootstrap(program);
 dev(program);
 deploy(program);
 build(program);
 bind(program);
 secrets(program);
+cron(program);
+auth(program);
 remove(program);
 update(program);
 transform(program);
@@ -42,6 +48,8 @@ version(program);
 telemetry(program);
 types(program);
 connect(program);
+replay(program);
+invoke(program);
 if ("setSourceMapsEnabled" in process) {
     // @ts-expect-error
     process.setSourceMapsEnabled(true);
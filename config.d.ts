@@ -1,4 +1,5 @@
-import { FunctionMetadata, NextjsSiteMetadata, AstroSiteMetadata, RemixSiteMetadata, SolidStartSiteMetadata, SvelteKitSiteMetadata, SSRSiteMetadata } from "./constructs/Metadata.js";
+import type { SecretVersion } from "./secrets.js";
+import { Metadata, FunctionMetadata, NextjsSiteMetadata, AstroSiteMetadata, RemixSiteMetadata, SolidStartSiteMetadata, SvelteKitSiteMetadata, SSRSiteMetadata } from "./constructs/Metadata.js";
 declare module "./bus.js" {
     interface Events {
         "config.secret.updated": {
@@ -31,12 +32,15 @@ export declare namespace Config {
         fallback?: boolean;
     }): string;
     function normalizeID(input: string): string;
-    function secrets(): Promise<Record<string, Secret>>;
+    function secrets(input?: {
+        stage?: string;
+    }): Promise<Record<string, Secret>>;
     function env(): Promise<any>;
     function setSecret(input: {
         key: string;
         value: string;
         fallback?: boolean;
+        stage?: string;
     }): Promise<void>;
     function getSecret(input: {
         key: string;
@@ -46,6 +50,29 @@ export declare namespace Config {
         key: string;
         fallback?: boolean;
     }): Promise<void>;
+    /**
+     * Lists the versions the backend kept for a secret, newest first. Note
+     * that SSM loses the history when a secret is re-created while
+     * downgrading its tier.
+     */
+    function secretHistory(input: {
+        key: string;
+        fallback?: boolean;
+    }): Promise<SecretVersion[]>;
+    /**
+     * Restores the value of a prior version. This writes a new version so the
+     * rollback itself can be undone.
+     */
+    function rollbackSecret(input: {
+        key: string;
+        version: number;
+        fallback?: boolean;
+    }): Promise<SecretVersion>;
+    /**
+     * Checks that the secrets bound to the app are set and match their
+     * schema. Returns a message for each secret that does not.
+     */
+    function validateSecrets(metadata: Metadata[]): Promise<string[]>;
     function restart(keys: string[]): Promise<{
         edgeSites: (NextjsSiteMetadata | AstroSiteMetadata | RemixSiteMetadata | SolidStartSiteMetadata | SvelteKitSiteMetadata)[];
         sites: SSRSiteMetadata[];
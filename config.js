@@ -1,9 +1,11 @@
-import { DeleteParameterCommand, GetParameterCommand, GetParametersByPathCommand, PutParameterCommand, SSMClient, } from "@aws-sdk/client-ssm";
+import { GetParametersByPathCommand, SSMClient, } from "@aws-sdk/client-ssm";
 import { GetFunctionConfigurationCommand, LambdaClient, UpdateFunctionConfigurationCommand, } from "@aws-sdk/client-lambda";
 import { pipe, map } from "remeda";
-import { useProject } from "./project.js";
+import { loadStageConfig, useProject } from "./project.js";
 import { useAWSClient } from "./credentials.js";
 import { useIOT } from "./iot.js";
+import { createSecretBackend, useSecretBackend } from "./secrets.js";
+import { VisibleError } from "./error.js";
 import { Stacks } from "./stacks/index.js";
 const FALLBACK_STAGE = ".fallback";
 const SECRET_UPDATED_AT_ENV = "SST_ADMIN_SECRET_UPDATED_AT";
@@ -17,27 +19,46 @@ const PREFIX = {
         return `/sst/${project.config.name}/${FALLBACK_STAGE}/`;
     },
 };
+/**
+ * Where the secrets of a stage are kept, other stages can set a different
+ * ssmPrefix and secrets backend so their config is loaded
+ */
+async function useStageSecrets(stage) {
+    const project = useProject();
+    if (!stage || stage === project.config.stage)
+        return { prefix: PREFIX.STAGE, backend: useSecretBackend() };
+    const config = await loadStageConfig(stage);
+    return { prefix: config.ssmPrefix, backend: createSecretBackend(config) };
+}
 export var Config;
 (function (Config) {
     async function parameters() {
+        const backend = useSecretBackend();
         const result = [];
-        for await (const p of scanParameters(PREFIX.FALLBACK)) {
-            const parsed = parse(p.Name, PREFIX.FALLBACK);
-            if (parsed.type === "secrets")
-                continue;
-            result.push({
-                ...parsed,
-                value: p.Value,
-            });
-        }
-        for await (const p of scanParameters(PREFIX.STAGE)) {
-            const parsed = parse(p.Name, PREFIX.STAGE);
-            if (parsed.type === "secrets")
-                continue;
-            result.push({
-                ...parsed,
-                value: p.Value,
-            });
+        // Secrets are read from the configured backend, everything else is
+        // always stored in SSM. Secrets pinned to SSM, ie. the Auth keys, are
+        // stored there with the other backends as well.
+        for (const prefix of [PREFIX.FALLBACK, PREFIX.STAGE]) {
+            for await (const p of scanParameters(prefix)) {
+                const parsed = parse(p.Name, prefix);
+                if (backend.name === "ssm" &&
+                    parsed.type === "Secret" &&
+                    parsed.prop === "value")
+                    continue;
+                result.push({
+                    ...parsed,
+                    value: p.Value,
+                });
+            }
+            for await (const p of backend.list(prefix + "Secret")) {
+                const parsed = parse(p.name, prefix);
+                if (parsed.prop !== "value")
+                    continue;
+                result.push({
+                    ...parsed,
+                    value: p.value,
+                });
+            }
         }
         return result;
     }
@@ -47,26 +68,34 @@ export var Config;
     }
     Config.envFor = envFor;
     function pathFor(input) {
-        return `${input.fallback ? PREFIX.FALLBACK : PREFIX.STAGE}${input.type}/${normalizeID(input.id)}/${input.prop}`;
+        return pathIn(input.fallback ? PREFIX.FALLBACK : PREFIX.STAGE, input);
     }
     Config.pathFor = pathFor;
+    function pathIn(prefix, input) {
+        return `${prefix}${input.type}/${normalizeID(input.id)}/${input.prop}`;
+    }
     function normalizeID(input) {
         return input.replace(/-/g, "_");
     }
     Config.normalizeID = normalizeID;
-    async function secrets() {
+    async function secrets(input) {
+        const { prefix, backend } = await useStageSecrets(input?.stage);
         const result = {};
-        for await (const p of scanParameters(PREFIX.STAGE + "Secret")) {
-            const parsed = parse(p.Name, PREFIX.STAGE);
+        for await (const p of backend.list(prefix + "Secret")) {
+            const parsed = parse(p.name, prefix);
+            if (parsed.prop !== "value")
+                continue;
             if (!result[parsed.id])
                 result[parsed.id] = {};
-            result[parsed.id].value = p.Value;
+            result[parsed.id].value = p.value;
         }
-        for await (const p of scanParameters(PREFIX.FALLBACK + "Secret")) {
-            const parsed = parse(p.Name, PREFIX.FALLBACK);
+        for await (const p of backend.list(PREFIX.FALLBACK + "Secret")) {
+            const parsed = parse(p.name, PREFIX.FALLBACK);
+            if (parsed.prop !== "value")
+                continue;
             if (!result[parsed.id])
                 result[parsed.id] = {};
-            result[parsed.id].fallback = p.Value;
+            result[parsed.id].fallback = p.value;
         }
         return result;
     }
@@ -83,24 +112,16 @@ export var Config;
     }
     Config.env = env;
     async function setSecret(input) {
-        const paramName = pathFor({
+        const { prefix, backend } = await useStageSecrets(input.stage);
+        const paramName = pathIn(input.fallback ? PREFIX.FALLBACK : prefix, {
             id: input.key,
             type: "Secret",
             prop: "value",
-            fallback: input.fallback,
         });
-        try {
-            await putParameter(paramName, input.value);
-        }
-        catch (e) {
-            // If the parameter was previously ADVANCED, re-create it in STANDARD tier.
-            const wasAdvanced = e.name === "ValidationException" &&
-                e.message.startsWith("This parameter uses the advanced-parameter tier. You can't downgrade a parameter from the advanced-parameter tier to the standard-parameter tier.");
-            if (!wasAdvanced)
-                throw e;
-            await deleteParameter(paramName);
-            await putParameter(paramName, input.value);
-        }
+        await backend.put(paramName, input.value);
+        // Only a running `sst dev` of the current stage listens for updates
+        if (input.stage && input.stage !== useProject().config.stage)
+            return;
         // Publish event
         const iot = await useIOT();
         const topic = `${iot.prefix}/events`;
@@ -108,17 +129,16 @@ export var Config;
     }
     Config.setSecret = setSecret;
     async function getSecret(input) {
-        const result = await getParameter(pathFor({
+        return useSecretBackend().get(pathFor({
             id: input.key,
             prop: "value",
             type: "Secret",
             fallback: input.fallback,
         }));
-        return result.Parameter?.Value;
     }
     Config.getSecret = getSecret;
     async function removeSecret(input) {
-        await deleteParameter(pathFor({
+        await useSecretBackend().remove(pathFor({
             id: input.key,
             type: "Secret",
             prop: "value",
@@ -126,6 +146,78 @@ export var Config;
         }));
     }
     Config.removeSecret = removeSecret;
+    /**
+     * Lists the versions the backend kept for a secret, newest first. Note
+     * that SSM loses the history when a secret is re-created while
+     * downgrading its tier.
+     */
+    async function secretHistory(input) {
+        const backend = useSecretBackend();
+        if (!backend.history)
+            throw new VisibleError(`Secret history is not available with the "${backend.name}" secrets backend`);
+        const result = await backend.history(pathFor({
+            id: input.key,
+            type: "Secret",
+            prop: "value",
+            fallback: input.fallback,
+        }));
+        return result.sort((a, b) => b.version - a.version);
+    }
+    Config.secretHistory = secretHistory;
+    /**
+     * Restores the value of a prior version. This writes a new version so the
+     * rollback itself can be undone.
+     */
+    async function rollbackSecret(input) {
+        const history = await secretHistory(input);
+        const match = history.find((item) => item.version === input.version);
+        if (!match)
+            throw new VisibleError(`Version ${input.version} of "${input.key}" does not exist`);
+        await setSecret({
+            key: input.key,
+            value: match.value,
+            fallback: input.fallback,
+        });
+        return match;
+    }
+    Config.rollbackSecret = rollbackSecret;
+    /**
+     * Checks that the secrets bound to the app are set and match their
+     * schema. Returns a message for each secret that does not.
+     */
+    async function validateSecrets(metadata) {
+        const project = useProject();
+        const bound = new Set(metadata.flatMap((c) => c.data?.secrets || []));
+        const values = await secrets();
+        const errors = [];
+        for (const c of metadata) {
+            if (c.type !== "Secret" || !bound.has(c.data.name))
+                continue;
+            // Pinned secrets are written by their construct while deploying
+            if (c.data.backend)
+                continue;
+            const name = c.data.name;
+            const schema = c.data.schema || {};
+            const value = values[name]?.value ?? values[name]?.fallback;
+            if (value === undefined) {
+                const required = schema.required ?? true;
+                if (Array.isArray(required)
+                    ? required.includes(project.config.stage)
+                    : required)
+                    errors.push(`"${name}" is not set`);
+                continue;
+            }
+            if (schema.format &&
+                !new RegExp(schema.format, schema.formatFlags).test(value))
+                errors.push(`"${name}" does not match ${schema.format}`);
+            if (schema.enum && !schema.enum.includes(value))
+                errors.push(`"${name}" must be one of ${schema.enum.join(", ")}`);
+            if (schema.json)
+                errors.push(...validateJSON(name, value, schema.json));
+        }
+        return errors;
+    }
+    Config.validateSecrets = validateSecrets;
     async function restart(keys) {
         const metadata = await Stacks.metadata();
         const siteData = Object.values(metadata)
@@ -185,28 +277,28 @@ async function* scanParameters(prefix) {
         token = results.NextToken;
     }
 }
-function getParameter(name) {
-    const ssm = useAWSClient(SSMClient);
-    return ssm.send(new GetParameterCommand({
-        Name: name,
-        WithDecryption: true,
-    }));
-}
-function putParameter(name, value) {
-    const ssm = useAWSClient(SSMClient);
-    return ssm.send(new PutParameterCommand({
-        Name: name,
-        Value: value,
-        Type: "SecureString",
-        Overwrite: true,
-        Tier: value.length > 4096 ? "Advanced" : "Standard",
-    }));
-}
-function deleteParameter(name) {
-    const ssm = useAWSClient(SSMClient);
-    return ssm.send(new DeleteParameterCommand({
-        Name: name,
-    }));
+function validateJSON(name, value, shape) {
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    }
+    catch {
+        return [`"${name}" is not valid JSON`];
+    }
+    if (shape === true)
+        return [];
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed))
+        return [`"${name}" must be a JSON object`];
+    return Object.entries(shape)
+        .filter(([key, type]) => {
+            const item = parsed[key];
+            if (type === "array")
+                return !Array.isArray(item);
+            if (type === "object")
+                return !item || typeof item !== "object" || Array.isArray(item);
+            return typeof item !== type;
+        })
+        .map(([key, type]) => `"${name}.${key}" must be ${type === "array" || type === "object" ? "an" : "a"} ${type}`);
 }
 function parse(ssmName, prefix) {
     const parts = ssmName.substring(prefix.length).split("/");
@@ -6,6 +6,7 @@ import { StackProps } from "./Stack.js";
 import { FunctionalStack } from "./FunctionalStack.js";
 import { AppProps as CDKAppProps, App as CDKApp, Stack as CDKStack, RemovalPolicy } from "aws-cdk-lib/core";
 import { ILayerVersion } from "aws-cdk-lib/aws-lambda";
+import type { Metadata } from "./Metadata.js";
 /**
  * @internal
  */
@@ -32,6 +33,7 @@ export interface AppDeployProps {
     readonly account?: string;
     readonly debugScriptVersion?: string;
     readonly debugIncreaseTimeout?: boolean;
+    readonly debugOffline?: boolean;
     readonly mode: "deploy" | "dev" | "remove";
     readonly isActiveStack?: (stackName: string) => boolean;
 }
@@ -70,6 +72,8 @@ export declare class App extends CDKApp {
     /** @internal */
     readonly debugIncreaseTimeout?: boolean;
     /** @internal */
+    readonly debugOffline?: boolean;
+    /** @internal */
     readonly appPath: string;
     /** @internal */
     readonly isActiveStack?: (stackName: string) => boolean;
@@ -165,4 +169,8 @@ export declare class App extends CDKApp {
         id?: string;
     }): ReturnType<T> extends Promise<any> ? Promise<void> : App;
 }
+export declare const useConstructMetadata: () => {
+    set(next: Metadata[]): void;
+    readonly all: Metadata[];
+};
 export {};
@@ -7,7 +7,7 @@ import { bindParameters, bindType } from "./util/functionBinding.js";
 import { stack } from "./FunctionalStack.js";
 import { Auth } from "./Auth.js";
 import { useDeferredTasks } from "./deferred_task.js";
-import { provideApp } from "./context.js";
+import { createAppContext, provideApp } from "./context.js";
 import { useProject } from "../project.js";
 import { VisibleError } from "../error.js";
 import { Logger } from "../logger.js";
@@ -51,6 +51,8 @@ export class App extends CDKApp {
     /** @internal */
     debugIncreaseTimeout;
     /** @internal */
+    debugOffline;
+    /** @internal */
     appPath;
     /** @internal */
     isActiveStack;
@@ -81,6 +83,7 @@ export class App extends CDKApp {
         if (this.mode === "dev") {
             this.debugScriptVersion = deployProps.debugScriptVersion;
             this.debugIncreaseTimeout = deployProps.debugIncreaseTimeout;
+            this.debugOffline = deployProps.debugOffline;
         }
     }
     /**
@@ -195,7 +198,9 @@ export class App extends CDKApp {
                 // Tag stacks
                 Tags.of(child).add("sst:app", this.name);
                 Tags.of(child).add("sst:stage", this.stage);
-                if (child instanceof Stack && !this.isRunningSSTTest()) {
+                if (child instanceof Stack &&
+                    !this.isRunningSSTTest() &&
+                    !this.debugOffline) {
                     const bootstrap = await useBootstrap();
                     const functions = useFunctions();
                     const sourcemaps = functions.sourcemaps.forStack(child.stackName);
@@ -287,6 +292,7 @@ export class App extends CDKApp {
             });
             byStack[stack.node.id] = list;
         }
+        useConstructMetadata().set(local);
         // Register constructs
         for (const child of this.node.children) {
             if (child instanceof Stack) {
@@ -462,7 +468,15 @@ export class App extends CDKApp {
                     `declare module "sst/node/${binding.clientPackage}" {`,
                     `  export interface ${className}Resources {`,
                     `    "${id}": {`,
-                    ...binding.variables.map((p) => `      ${p}: string;`),
+                    // Secrets with a schema have a typed value
+                    ...("getValueType" in c
+                        ? [`      value: ${c.getValueType()};`]
+                        : binding.variables.map((p) => `      ${p}: string;`)),
+                    // Tables with fields have a typed key schema, the client
+                    // looks up the keys at runtime
+                    ...("getSchemaType" in c && c.getSchemaType()
+                        ? [`      schema: ${c.getSchemaType()};`]
+                        : []),
                     `    }`,
                     `  }`,
                     `}`,
@@ -491,3 +505,14 @@ export class App extends CDKApp {
         return stack(this, fn, props);
     }
 }
+export const useConstructMetadata = createAppContext(() => {
+    let metadata = [];
+    return {
+        set(next) {
+            metadata = next;
+        },
+        get all() {
+            return metadata;
+        },
+    };
+});
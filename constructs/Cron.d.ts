@@ -151,6 +151,7 @@ export declare class Cron extends Construct implements SSTConstruct {
         data: {
             schedule: string | undefined;
             ruleName: string;
+            enabled: boolean;
             job: {
                 node: string;
                 stack: string;
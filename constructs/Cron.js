@@ -69,6 +69,7 @@ export class Cron extends Construct {
             data: {
                 schedule: cfnRule.scheduleExpression,
                 ruleName: this.cdk.rule.ruleName,
+                enabled: this.props.enabled !== false,
                 job: getFunctionRef(this.jobFunction),
             },
         };
@@ -298,6 +298,8 @@ export declare class EventBus extends Construct implements SSTConstruct {
     };
     private readonly rulesData;
     private readonly targetsData;
+    private readonly patternsData;
+    private readonly retriesData;
     private readonly bindingForAllTargets;
     private readonly permissionsAttachedForAllTargets;
     private readonly props;
@@ -419,6 +421,8 @@ export declare class EventBus extends Construct implements SSTConstruct {
                     stack: string;
                 } | undefined)[];
                 targetNames: string[];
+                pattern: Record<string, any> | undefined;
+                retries: number | undefined;
             }[];
         };
     };
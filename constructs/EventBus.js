@@ -43,6 +43,8 @@ export class EventBus extends Construct {
     cdk;
     rulesData = {};
     targetsData = {};
+    patternsData = {};
+    retriesData = {};
     bindingForAllTargets = [];
     permissionsAttachedForAllTargets = [];
     props;
@@ -215,6 +217,8 @@ export class EventBus extends Construct {
                     key: ruleName,
                     targets: Object.values(rule).map(getFunctionRef).filter(Boolean),
                     targetNames: Object.keys(rule),
+                    pattern: toEventPattern(this.patternsData[ruleName]),
+                    retries: this.retriesData[ruleName],
                 })),
             },
         };
@@ -302,16 +306,18 @@ export class EventBus extends Construct {
         }
         // Create Rule
         const root = this.node.root;
+        const eventPattern = rule.pattern
+            ? { ...rule.pattern }
+            : rule.cdk?.rule?.eventPattern;
         const eventsRule = new events.Rule(scope, ruleKey, {
             ruleName: root.logicalPrefixedName(ruleKey),
             ...rule.cdk?.rule,
-            eventPattern: rule.pattern
-                ? { ...rule.pattern }
-                : rule.cdk?.rule?.eventPattern,
+            eventPattern,
             eventBus: this.cdk.eventBus,
             targets: [],
         });
         this.rulesData[ruleKey] = eventsRule;
+        this.patternsData[ruleKey] = eventPattern;
         // Create Targets
         this.addTargets(scope, ruleKey, rule.targets || {});
     }
@@ -398,6 +404,8 @@ export class EventBus extends Construct {
             }
             return Fn.fromDefinition(scope, name, target);
         })();
+        if (retries)
+            this.retriesData[name + "_rule"] = retries;
         this.addRule(scope, name + "_rule", {
             pattern: {
                 detailType: type,
@@ -438,3 +446,14 @@ export class EventBus extends Construct {
         fn.bind(this.bindingForAllTargets);
     }
 }
+/**
+ * Converts the CDK event pattern to the JSON EventBridge matches against
+ */
+function toEventPattern(pattern) {
+    if (!pattern)
+        return undefined;
+    return Object.fromEntries(Object.entries(pattern).map(([key, value]) => [
+        key === "detailType" ? "detail-type" : key,
+        value,
+    ]));
+}
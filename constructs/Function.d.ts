@@ -7,7 +7,7 @@ import { Duration } from "./util/duration.js";
 import { FunctionBindingProps } from "./util/functionBinding.js";
 import { Permissions } from "./util/permission.js";
 import * as functionUrlCors from "./util/functionUrlCors.js";
-import { Architecture, Function as CDKFunction, FunctionOptions, ILayerVersion, Runtime as CDKRuntime, Tracing } from "aws-cdk-lib/aws-lambda";
+import { Architecture, EnvironmentOptions, Function as CDKFunction, FunctionOptions, ILayerVersion, Runtime as CDKRuntime, Tracing } from "aws-cdk-lib/aws-lambda";
 import { RetentionDays } from "aws-cdk-lib/aws-logs";
 import { Size as CDKSize, Duration as CDKDuration } from "aws-cdk-lib/core";
 import { IBucket } from "aws-cdk-lib/aws-s3";
@@ -644,6 +644,7 @@ export declare class Function extends CDKFunction implements SSTConstruct {
      * ```
      */
     attachPermissions(permissions: Permissions): void;
+    addEnvironment(key: string, value: string, options?: EnvironmentOptions): this;
     /** @internal */
     getConstructMetadata(): {
         type: "Function";
@@ -671,6 +672,10 @@ export declare class Function extends CDKFunction implements SSTConstruct {
     static mergeProps(baseProps?: FunctionProps, props?: FunctionProps): FunctionProps;
 }
 export declare const useFunctions: () => {
+    environment: {
+        set(id: string, key: string, value: string): void;
+        fromID(id: string): Record<string, string>;
+    };
     sourcemaps: {
         add(stack: string, source: {
             bucket: IBucket;
@@ -175,8 +175,19 @@ export class Function extends CDKFunction {
                 ...(debugOverrideProps || {}),
             });
             this.addEnvironment("SST_FUNCTION_ID", this.node.addr);
+            // The stub connects to the same broker as `sst dev`, only IoT
+            // needs permissions
+            const bridge = useProject().config.bridge || {};
+            const transport = bridge.transport || "iot";
+            if (transport !== "iot" && !app.debugOffline) {
+                this.addEnvironment("SST_BRIDGE_TRANSPORT", transport);
+                if (bridge.url)
+                    this.addEnvironment("SST_BRIDGE_URL", bridge.url);
+            }
             useDeferredTasks().add(async () => {
-                if (app.isRunningSSTTest())
+                if (app.isRunningSSTTest() ||
+                    app.debugOffline ||
+                    transport !== "iot")
                     return;
                 const bootstrap = await useBootstrap();
                 const bootstrapBucketArn = `arn:${Stack.of(this).partition}:s3:::${bootstrap.bucket}`;
@@ -360,6 +371,12 @@ export class Function extends CDKFunction {
                 .forEach((p) => this.bind([p]));
         }
     }
+    addEnvironment(key, value, options) {
+        // Local invocations run without the deployed function so they read
+        // the environment from here
+        useFunctions().environment.set(this.node.addr, key, value);
+        return super.addEnvironment(key, value, options);
+    }
     /** @internal */
     getConstructMetadata() {
         return {
@@ -555,7 +572,19 @@ export class Function extends CDKFunction {
 export const useFunctions = createAppContext(() => {
     const functions = {};
     const sourcemaps = {};
+    const environments = {};
     return {
+        environment: {
+            set(id, key, value) {
+                let env = environments[id];
+                if (!env)
+                    environments[id] = env = {};
+                env[key] = value;
+            },
+            fromID(id) {
+                return environments[id] || {};
+            },
+        },
         sourcemaps: {
             add(stack, source) {
                 let arr = sourcemaps[stack];
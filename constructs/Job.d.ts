@@ -2,7 +2,9 @@ import { Construct } from "constructs";
 import { Function as CdkFunction } from "aws-cdk-lib/aws-lambda";
 import { RetentionDays } from "aws-cdk-lib/aws-logs";
 import { SSTConstruct } from "./Construct.js";
-import { NodeJSProps, FunctionCopyFilesProps } from "./Function.js";
+import { NodeJSProps, FunctionCopyFilesProps, FunctionInlineDefinition } from "./Function.js";
+import { Queue } from "./Queue.js";
+import { EventBus } from "./EventBus.js";
 import { Duration } from "./util/duration.js";
 import { Permissions } from "./util/permission.js";
 import { FunctionBindingProps } from "./util/functionBinding.js";
@@ -204,6 +206,20 @@ export interface JobProps {
      * ```
      */
     logRetention?: Lowercase<keyof typeof RetentionDays>;
+    /**
+     * Notified with the "CodeBuild Build State Change" event when a run succeeds, fails or is cancelled. Pass in `event.detail["build-id"]` to `Job.MyJob.status()` to look up the run.
+     *
+     * Only runs on CodeBuild send the event. In `sst dev` jobs run locally as functions so `onComplete` is never called and `status()`, `list()` and `logs()` of the client throw.
+     *
+     * @example
+     * ```js
+     * new Job(stack, "MyJob", {
+     *   handler: "src/job.handler",
+     *   onComplete: "src/job-complete.handler",
+     * })
+     * ```
+     */
+    onComplete?: FunctionInlineDefinition | Queue | EventBus;
     cdk?: {
         /**
          * Allows you to override default id for this construct.
@@ -324,6 +340,7 @@ export declare class Job extends Construct implements SSTConstruct {
     private createCodeBuildJob;
     private createLiveDevJob;
     private createLogRetention;
+    private createCompletionRule;
     private buildCodeBuildProjectCode;
     private createJobManager;
     private bindForCodeBuild;
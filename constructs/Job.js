@@ -8,8 +8,11 @@ import { PolicyStatement, Effect } from "aws-cdk-lib/aws-iam";
 import { AssetCode, Code, Runtime, Function as CdkFunction, } from "aws-cdk-lib/aws-lambda";
 import { Project, LinuxBuildImage, BuildSpec, ComputeType, } from "aws-cdk-lib/aws-codebuild";
 import { RetentionDays, LogRetention } from "aws-cdk-lib/aws-logs";
+import { EventBus as EventBusTarget, LambdaFunction as LambdaFunctionTarget, SqsQueue as SqsQueueTarget, } from "aws-cdk-lib/aws-events-targets";
 import { Stack } from "./Stack.js";
 import { Function, useFunctions, } from "./Function.js";
+import { Queue } from "./Queue.js";
+import { EventBus } from "./EventBus.js";
 import { toCdkDuration } from "./util/duration.js";
 import { attachPermissionsToRole } from "./util/permission.js";
 import { bindEnvironment, bindPermissions, getReferencedSecrets, } from "./util/functionBinding.js";
@@ -63,6 +66,8 @@ export class Job extends Construct {
             this.buildCodeBuildProjectCode();
         }
         this.createLogRetention();
+        if (props.onComplete)
+            this.createCompletionRule(props.onComplete);
         this.attachPermissions(props.permissions || []);
         this.bind(props.bind || []);
         Object.entries(props.environment || {}).forEach(([key, value]) => {
@@ -83,6 +88,7 @@ export class Job extends Construct {
     }
     /** @internal */
     getFunctionBinding() {
+        const stack = Stack.of(this);
         return {
             clientPackage: "job",
             variables: {
@@ -90,9 +96,23 @@ export class Job extends Construct {
                     type: "plain",
                     value: this._jobManager.functionName,
                 },
+                projectName: {
+                    type: "plain",
+                    value: this.job.projectName,
+                },
+                // Jobs run as functions in sst dev, they can't be looked up
+                provider: {
+                    type: "plain",
+                    value: this.liveDevJob ? "lambda" : "codebuild",
+                },
             },
             permissions: {
                 "lambda:*": [this._jobManager.functionArn],
+                "codebuild:BatchGetBuilds": [this.job.projectArn],
+                "codebuild:ListBuildsForProject": [this.job.projectArn],
+                "logs:GetLogEvents": [
+                    `arn:${stack.partition}:logs:${stack.region}:${stack.account}:log-group:/aws/codebuild/${this.job.projectName}:*`,
+                ],
             },
         };
     }
@@ -192,6 +212,26 @@ export class Job extends Construct {
             },
         });
     }
+    createCompletionRule(onComplete) {
+        const target = (() => {
+            if (onComplete instanceof Queue) {
+                return new SqsQueueTarget(onComplete.cdk.queue);
+            }
+            if (onComplete instanceof EventBus) {
+                return new EventBusTarget(onComplete.cdk.eventBus);
+            }
+            const fn = Function.fromDefinition(this, "OnComplete", onComplete);
+            return new LambdaFunctionTarget(fn);
+        })();
+        this.job.onStateChange("OnCompleteRule", {
+            target,
+            eventPattern: {
+                detail: {
+                    "build-status": ["SUCCEEDED", "FAILED", "STOPPED"],
+                },
+            },
+        });
+    }
     buildCodeBuildProjectCode() {
         const { handler, architecture, runtime, container } = this.props;
         useDeferredTasks().add(async () => {
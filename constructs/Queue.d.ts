@@ -128,6 +128,7 @@ export declare class Queue extends Construct implements SSTConstruct {
     private bindingForAllConsumers;
     private permissionsAttachedForAllConsumers;
     private props;
+    private eventSourceProps;
     constructor(scope: Construct, id: string, props?: QueueProps);
     /**
      * The ARN of the SQS Queue
@@ -182,13 +183,26 @@ export declare class Queue extends Construct implements SSTConstruct {
         data: {
             name: string;
             url: string;
+            arn: string;
+            fifo: boolean;
+            visibilityTimeout: number;
             consumer: {
                 node: string;
                 stack: string;
             } | undefined;
+            consumerConfig: {
+                batchSize: number;
+                maxBatchingWindow: number;
+                reportBatchItemFailures: boolean;
+            } | undefined;
+            deadLetterQueue: {
+                node: string | undefined;
+                maxReceiveCount: number;
+            } | undefined;
         };
     };
     /** @internal */
     getFunctionBinding(): FunctionBindingProps;
+    private getVisibilityTimeout;
     private createQueue;
 }
@@ -30,6 +30,7 @@ export class Queue extends Construct {
     bindingForAllConsumers = [];
     permissionsAttachedForAllConsumers = [];
     props;
+    eventSourceProps;
     constructor(scope, id, props) {
         super(scope, props?.cdk?.id || id);
         this.id = id;
@@ -87,6 +88,7 @@ export class Queue extends Construct {
         // Create target
         fn.addEventSource(new lambdaEventSources.SqsEventSource(this.cdk.queue, eventSourceProps));
         this.consumerFunction = fn;
+        this.eventSourceProps = eventSourceProps;
     }
     addFunctionConsumer(scope, consumer) {
         // Parse consumer props
@@ -110,6 +112,7 @@ export class Queue extends Construct {
         });
         fn.bind(this.bindingForAllConsumers);
         this.consumerFunction = fn;
+        this.eventSourceProps = eventSourceProps;
     }
     /**
      * Binds the given list of resources to the consumer function
@@ -146,12 +149,29 @@ export class Queue extends Construct {
         this.permissionsAttachedForAllConsumers.push(permissions);
     }
     getConstructMetadata() {
+        const queue = this.cdk.queue;
+        const deadLetterQueue = queue instanceof sqs.Queue ? queue.deadLetterQueue : undefined;
         return {
             type: "Queue",
             data: {
                 name: this.cdk.queue.queueName,
                 url: this.cdk.queue.queueUrl,
+                arn: this.cdk.queue.queueArn,
+                fifo: this.cdk.queue.fifo,
+                visibilityTimeout: this.getVisibilityTimeout(),
                 consumer: getFunctionRef(this.consumerFunction),
+                consumerConfig: this.consumerFunction
+                    ? {
+                        batchSize: this.eventSourceProps?.batchSize ?? 10,
+                        maxBatchingWindow: this.eventSourceProps?.maxBatchingWindow?.toSeconds() ?? 0,
+                        reportBatchItemFailures: this.eventSourceProps?.reportBatchItemFailures ?? false,
+                    }
+                    : undefined,
+                // Address of the SST Queue wrapping the dead-letter queue
+                deadLetterQueue: deadLetterQueue && {
+                    node: deadLetterQueue.queue.node.scope?.node.addr,
+                    maxReceiveCount: deadLetterQueue.maxReceiveCount,
+                },
             },
         };
     }
@@ -170,6 +190,16 @@ export class Queue extends Construct {
             },
         };
     }
+    getVisibilityTimeout() {
+        const { cdk } = this.props;
+        const root = this.node.root;
+        const visibilityTimeout = isCDKConstruct(cdk?.queue)
+            ? undefined
+            : cdk?.queue?.visibilityTimeout?.toSeconds();
+        if (root.debugIncreaseTimeout && (visibilityTimeout || 0) < 900)
+            return 900;
+        return visibilityTimeout ?? 30;
+    }
     createQueue() {
         const { cdk } = this.props;
         const root = this.node.root;
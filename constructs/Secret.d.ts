@@ -1,6 +1,63 @@
 import { Construct } from "constructs";
 import { SSTConstruct } from "./Construct.js";
+import { Function as Fn, FunctionDefinition } from "./Function.js";
+import { Duration } from "./util/duration.js";
 import { FunctionBindingProps } from "./util/functionBinding.js";
+import type { SecretBackendName } from "../secrets.js";
+export interface SecretSchema {
+    /**
+     * Regular expression the value has to match
+     */
+    format?: RegExp | string;
+    /**
+     * List of values the secret can be set to
+     */
+    enum?: string[];
+    /**
+     * Parse the value as JSON. Pass in the type of each key to check its
+     * shape, the parsed value is typed accordingly.
+     *
+     * @example
+     * ```js
+     * json: { publicKey: "string", retries: "number" }
+     * ```
+     */
+    json?: true | Record<string, "string" | "number" | "boolean" | "object" | "array">;
+    /**
+     * Whether the secret has to be set, or the stages it has to be set in.
+     * Secrets that are not required are `undefined` at runtime when not set.
+     * @default true
+     */
+    required?: boolean | string[];
+}
+export interface SecretProps {
+    /**
+     * Validate the value before deploying
+     */
+    schema?: SecretSchema;
+    /**
+     * Rotate the secret with a function. Requires the "secrets-manager"
+     * secrets backend and the secret to be set before deploying.
+     */
+    rotation?: {
+        /**
+         * The function that rotates the secret, it follows the Secrets
+         * Manager rotation steps.
+         */
+        function: FunctionDefinition;
+        /**
+         * How often the secret is rotated
+         * @default "30 days"
+         */
+        after?: Duration;
+    };
+    /**
+     * Keeps the value in this backend instead of the app's secrets backend,
+     * for values a construct writes itself while deploying
+     * @internal
+     */
+    backend?: SecretBackendName;
+}
 /**
  * The `Secret` construct is a higher level CDK construct that makes it easy to manage app secrets.
  *
@@ -12,19 +69,62 @@ import { FunctionBindingProps } from "./util/functionBinding.js";
  *
  * new Config.Secret(stack, "STRIPE_KEY");
  * ```
+ *
+ * ### Validating the value
+ *
+ * Bound secrets are checked against the schema before `sst deploy` starts.
+ *
+ * ```js
+ * new Config.Secret(stack, "STRIPE_CONFIG", {
+ *   schema: {
+ *     json: { publicKey: "string", webhooks: "boolean" },
+ *     required: ["prod"],
+ *   },
+ * });
+ * ```
+ *
+ * ### Rotating the value
+ *
+ * Requires the "secrets-manager" backend and the secret to be set before
+ * deploying.
+ *
+ * ```js
+ * new Config.Secret(stack, "DB_PASSWORD", {
+ *   rotation: {
+ *     function: "src/rotate.handler",
+ *     after: "30 days",
+ *   },
+ * });
+ * ```
  */
 export declare class Secret extends Construct implements SSTConstruct {
     readonly id: string;
     readonly name: string;
-    constructor(scope: Construct, id: string);
+    /**
+     * The function that rotates the secret, when rotation is enabled
+     */
+    rotationFunction?: Fn;
+    readonly schema?: SecretSchema;
+    private readonly backend?;
+    constructor(scope: Construct, id: string, props?: SecretProps);
     /** @internal */
     getConstructMetadata(): {
         type: "Secret";
         data: {
             name: string;
+            schema?: Omit<SecretSchema, "format"> & {
+                format?: string;
+                formatFlags?: string;
+            };
+            backend?: SecretBackendName;
         };
     };
     /** @internal */
     getFunctionBinding(): FunctionBindingProps;
+    /** @internal */
+    getValueType(): string;
+    private isRequired;
+    private getPermissions;
+    private createRotation;
     static create<T extends string[]>(scope: Construct, ...parameters: T): { [key in T[number]]: Secret; };
 }
@@ -1,6 +1,10 @@
 import { Construct } from "constructs";
+import { RotationSchedule, Secret as CdkSecret, } from "aws-cdk-lib/aws-secretsmanager";
 import { Stack } from "./Stack.js";
+import { Function as Fn } from "./Function.js";
+import { toCdkDuration } from "./util/duration.js";
 import { getParameterPath, getParameterFallbackPath, } from "./util/functionBinding.js";
+import { secretBackendName } from "../secrets.js";
 /**
  * The `Secret` construct is a higher level CDK construct that makes it easy to manage app secrets.
  *
@@ -12,14 +16,55 @@ import { getParameterPath, getParameterFallbackPath, } from "./util/functionBind
  *
  * new Config.Secret(stack, "STRIPE_KEY");
  * ```
+ *
+ * ### Validating the value
+ *
+ * Bound secrets are checked against the schema before `sst deploy` starts.
+ *
+ * ```js
+ * new Config.Secret(stack, "STRIPE_CONFIG", {
+ *   schema: {
+ *     json: { publicKey: "string", webhooks: "boolean" },
+ *     required: ["prod"],
+ *   },
+ * });
+ * ```
+ *
+ * ### Rotating the value
+ *
+ * Requires the "secrets-manager" backend and the secret to be set before
+ * deploying.
+ *
+ * ```js
+ * new Config.Secret(stack, "DB_PASSWORD", {
+ *   rotation: {
+ *     function: "src/rotate.handler",
+ *     after: "30 days",
+ *   },
+ * });
+ * ```
  */
+const JSON_TYPES = {
+    string: "string",
+    number: "number",
+    boolean: "boolean",
+    object: "Record<string, any>",
+    array: "any[]",
+};
 export class Secret extends Construct {
     id;
     name;
-    constructor(scope, id) {
+    rotationFunction;
+    schema;
+    backend;
+    constructor(scope, id, props) {
         super(scope, id);
         this.id = id;
         this.name = id;
+        this.schema = props?.schema;
+        this.backend = props?.backend;
+        if (props?.rotation)
+            this.createRotation(props.rotation);
     }
     /** @internal */
     getConstructMetadata() {
@@ -27,28 +72,100 @@ export class Secret extends Construct {
             type: "Secret",
             data: {
                 name: this.name,
+                schema: this.schema && {
+                    ...this.schema,
+                    format: this.schema.format instanceof RegExp
+                        ? this.schema.format.source
+                        : this.schema.format,
+                    formatFlags: this.schema.format instanceof RegExp
+                        ? this.schema.format.flags
+                        : undefined,
+                },
+                backend: this.backend,
             },
         };
     }
     /** @internal */
     getFunctionBinding() {
         const app = this.node.root;
-        const partition = Stack.of(this).partition;
+        const backend = this.backend || secretBackendName();
+        if (backend === "file" && app.mode === "deploy") {
+            throw new Error(`Cannot deploy the "${this.node.id}" Secret, the "file" secrets backend can only be used with "sst dev"`);
+        }
         return {
             clientPackage: "config",
             variables: {
                 value: {
                     type: "secret",
+                    backend,
                 },
+                // Tells the runtime how to read the value, the rest of the
+                // schema is only checked on deploy
+                ...(this.schema
+                    ? {
+                        schema: {
+                            type: "plain",
+                            value: JSON.stringify({
+                                json: Boolean(this.schema.json),
+                                optional: !this.isRequired(),
+                            }),
+                        },
+                    }
+                    : {}),
             },
-            permissions: {
-                "ssm:GetParameters": [
-                    `arn:${partition}:ssm:${app.region}:${app.account}:parameter${getParameterPath(this, "value")}`,
-                    `arn:${partition}:ssm:${app.region}:${app.account}:parameter${getParameterFallbackPath(this, "value")}`,
+            permissions: this.getPermissions(backend),
+        };
+    }
+    /** @internal */
+    getValueType() {
+        const schema = this.schema || {};
+        const type = schema.json === true
+            ? "any"
+            : schema.json
+                ? `{ ${Object.entries(schema.json)
+                    .map(([key, value]) => `${JSON.stringify(key)}: ${JSON_TYPES[value]};`)
+                    .join(" ")} }`
+                : schema.enum
+                    ? schema.enum.map((item) => JSON.stringify(item)).join(" | ")
+                    : "string";
+        return this.isRequired() ? type : `${type} | undefined`;
+    }
+    isRequired() {
+        const app = this.node.root;
+        const required = this.schema?.required ?? true;
+        return Array.isArray(required) ? required.includes(app.stage) : required;
+    }
+    getPermissions(backend) {
+        const app = this.node.root;
+        const partition = Stack.of(this).partition;
+        if (backend === "file")
+            return {};
+        if (backend === "secrets-manager") {
+            return {
+                "secretsmanager:GetSecretValue": [
+                    `arn:${partition}:secretsmanager:${app.region}:${app.account}:secret:${getParameterPath(this, "value")}-??????`,
+                    `arn:${partition}:secretsmanager:${app.region}:${app.account}:secret:${getParameterFallbackPath(this, "value")}-??????`,
                 ],
-            },
+            };
+        }
+        return {
+            "ssm:GetParameters": [
+                `arn:${partition}:ssm:${app.region}:${app.account}:parameter${getParameterPath(this, "value")}`,
+                `arn:${partition}:ssm:${app.region}:${app.account}:parameter${getParameterFallbackPath(this, "value")}`,
+            ],
         };
     }
+    createRotation(rotation) {
+        if (secretBackendName() !== "secrets-manager") {
+            throw new Error(`Cannot rotate the "${this.node.id}" Secret, rotation requires the "secrets-manager" secrets backend`);
+        }
+        this.rotationFunction = Fn.fromDefinition(this, "RotationFunction", rotation.function);
+        new RotationSchedule(this, "RotationSchedule", {
+            secret: CdkSecret.fromSecretNameV2(this, "Secret", getParameterPath(this, "value")),
+            rotationLambda: this.rotationFunction,
+            automaticallyAfter: toCdkDuration(rotation.after || "30 days"),
+        });
+    }
     static create(scope, ...parameters) {
         const result = {};
         for (const name of parameters) {
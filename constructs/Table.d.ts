@@ -285,6 +285,7 @@ export declare class Table extends Construct implements SSTConstruct {
     private props;
     private stream?;
     private fields?;
+    private indexes;
     constructor(scope: Construct, id: string, props: TableProps);
     /**
      * The ARN of the internally created DynamoDB Table.
@@ -389,6 +390,7 @@ export declare class Table extends Construct implements SSTConstruct {
         type: "Table";
         data: {
             tableName: string;
+            streamArn: string | undefined;
             consumers: {
                 name: string;
                 fn: {
@@ -400,6 +402,9 @@ export declare class Table extends Construct implements SSTConstruct {
     };
     /** @internal */
     getFunctionBinding(): FunctionBindingProps;
+    /** @internal */
+    getSchemaType(): string | undefined;
+    private getSchema;
     private createTable;
     private addConsumer;
     private buildAttribute;
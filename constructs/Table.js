@@ -36,6 +36,7 @@ export class Table extends Construct {
     props;
     stream;
     fields;
+    indexes = {};
     constructor(scope, id, props) {
         super(scope, props.cdk?.id || id);
         this.id = id;
@@ -100,6 +101,7 @@ export class Table extends Construct {
             if (cdk?.index?.sortKey) {
                 throw new Error(`Cannot configure the "cdk.index.sortKey" in the "${indexName}" index of the "${this.node.id}" Table`);
             }
+            this.indexes[indexName] = { partitionKey, sortKey };
             this.cdk.table.addGlobalSecondaryIndex({
                 indexName,
                 partitionKey: this.buildAttribute(this.fields, partitionKey),
@@ -147,6 +149,10 @@ export class Table extends Construct {
             if (cdk?.index?.sortKey) {
                 throw new Error(`Cannot configure the "cdk.index.sortKey" in the "${indexName}" index of the "${this.node.id}" Table`);
             }
+            this.indexes[indexName] = {
+                partitionKey: this.props.primaryIndex?.partitionKey,
+                sortKey,
+            };
             this.cdk.table.addLocalSecondaryIndex({
                 indexName,
                 sortKey: this.buildAttribute(this.fields, sortKey),
@@ -257,6 +263,7 @@ export class Table extends Construct {
             type: "Table",
             data: {
                 tableName: this.cdk.table.tableName,
+                streamArn: this.cdk.table.tableStreamArn,
                 consumers: Object.entries(this.functions).map(([name, fun]) => ({
                     name,
                     fn: getFunctionRef(fun),
@@ -279,6 +286,38 @@ export class Table extends Construct {
             },
         };
     }
+    /** @internal */
+    getSchemaType() {
+        const schema = this.getSchema();
+        if (!schema)
+            return;
+        const keys = (index) => [
+            `partitionKey: ${JSON.stringify(index.partitionKey)};`,
+            ...(index.sortKey ? [`sortKey: ${JSON.stringify(index.sortKey)};`] : []),
+        ].join(" ");
+        return [
+            `{ fields: { ${Object.entries(schema.fields)
+                .map(([name, type]) => `${JSON.stringify(name)}: ${JSON.stringify(type)};`)
+                .join(" ")} };`,
+            `primaryIndex: { ${keys(schema.primaryIndex)} };`,
+            `indexes: { ${Object.entries(schema.indexes)
+                .map(([name, index]) => `${JSON.stringify(name)}: { ${keys(index)} };`)
+                .join(" ")} }; }`,
+        ].join(" ");
+    }
+    getSchema() {
+        const { primaryIndex } = this.props;
+        if (!this.fields || !primaryIndex)
+            return;
+        return {
+            fields: this.fields,
+            primaryIndex: {
+                partitionKey: primaryIndex.partitionKey,
+                sortKey: primaryIndex.sortKey,
+            },
+            indexes: this.indexes,
+        };
+    }
     createTable() {
         const { fields, primaryIndex, stream, timeToLiveAttribute, cdk } = this.props;
         const app = this.node.root;
@@ -67,6 +67,11 @@ export declare class Auth extends Construct implements SSTConstruct {
     private readonly authenticator;
     private api;
     publicKey: Secret;
+    /**
+     * The keys being phased in and out as JSON, only set once the keys have
+     * been rotated
+     */
+    publicKeys: Secret;
     privateKey: Secret;
     constructor(scope: Construct, id: string, props: AuthProps);
     get url(): string;
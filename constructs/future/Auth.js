@@ -20,6 +20,7 @@ export class Auth extends Construct {
     authenticator;
     api;
     publicKey;
+    publicKeys;
     privateKey;
     constructor(scope, id, props) {
         super(scope, props.cdk?.id || id);
@@ -52,10 +53,21 @@ export class Auth extends Construct {
             },
             customDomain: props.customDomain,
         });
-        this.publicKey = new Secret(this, id + "PublicKey");
-        this.privateKey = new Secret(this, id + "PrivateKey");
+        // The keys are written to SSM by the AuthKeys custom resource
+        this.publicKey = new Secret(this, id + "PublicKey", { backend: "ssm" });
+        this.privateKey = new Secret(this, id + "PrivateKey", { backend: "ssm" });
+        // Written by `sst auth rotate-keys`, until then the PublicKey is the
+        // only key
+        this.publicKeys = new Secret(this, id + "PublicKeys", {
+            backend: "ssm",
+            schema: { required: false },
+        });
         const fn = this.api.getFunction("ANY /{step}");
-        fn.bind([this.publicKey, this.privateKey]);
+        fn.bind([this.publicKey, this.publicKeys, this.privateKey]);
+        // Verifiers look up the signing keys at /.well-known/jwks.json
+        this.api.addRoutes(this, {
+            "GET /.well-known/{step}": fn,
+        });
         const app = this.node.root;
         fn.attachPermissions([
             new PolicyStatement({
@@ -63,6 +75,7 @@ export class Auth extends Construct {
                 effect: Effect.ALLOW,
                 resources: [
                     `arn:${Stack.of(this).partition}:ssm:${app.region}:${app.account}:parameter${getParameterPath(this.publicKey, "value")}`,
+                    `arn:${Stack.of(this).partition}:ssm:${app.region}:${app.account}:parameter${getParameterPath(this.publicKeys, "value")}`,
                     `arn:${Stack.of(this).partition}:ssm:${app.region}:${app.account}:parameter${getParameterPath(this.privateKey, "value")}`,
                 ],
             }),
@@ -111,6 +124,10 @@ export class Auth extends Construct {
                     type: "secret_reference",
                     secret: this.publicKey,
                 },
+                publicKeys: {
+                    type: "secret_reference",
+                    secret: this.publicKeys,
+                },
                 url: {
                     type: "plain",
                     value: this.url,
@@ -1,5 +1,6 @@
 import { SSTConstruct } from "../Construct.js";
 import { Secret } from "../Secret.js";
+import type { SecretBackendName } from "../../secrets.js";
 export interface FunctionBindingProps {
     clientPackage: string;
     permissions: Record<string, string[]>;
@@ -8,6 +9,7 @@ export interface FunctionBindingProps {
         value: string;
     } | {
         type: "secret";
+        backend?: SecretBackendName;
     } | {
         type: "secret_reference";
         secret: Secret;
@@ -27,5 +29,5 @@ export declare function getReferencedSecrets(c: SSTConstruct): Secret[];
 export declare function getEnvironmentKey(c: SSTConstruct, prop: string): string;
 export declare function getParameterPath(c: SSTConstruct, prop: string): string;
 export declare function getParameterFallbackPath(c: SSTConstruct, prop: string): string;
-export declare function placeholderSecretValue(): string;
+export declare function placeholderSecretValue(backend?: SecretBackendName): string;
 export declare function placeholderSecretReferenceValue(secret: Secret): string;
@@ -9,7 +9,10 @@ export function bindEnvironment(c) {
             if (variable.type === "plain") {
                 environment[envName] = variable.value;
             }
-            else if (variable.type === "secret" || variable.type === "site_url") {
+            else if (variable.type === "secret") {
+                environment[envName] = placeholderSecretValue(variable.backend);
+            }
+            else if (variable.type === "site_url") {
                 environment[envName] = placeholderSecretValue();
             }
             else if (variable.type === "secret_reference") {
@@ -96,7 +99,11 @@ export function getParameterFallbackPath(c, prop) {
         fallback: true,
     });
 }
-export function placeholderSecretValue() {
+export function placeholderSecretValue(backend) {
+    if (backend === "secrets-manager")
+        return "__FETCH_FROM_SECRETS_MANAGER__";
+    if (backend === "file")
+        return "__FETCH_FROM_FILE__";
     return "__FETCH_FROM_SSM__";
 }
 export function placeholderSecretReferenceValue(secret) {
@@ -1,4 +1,4 @@
-export declare const useIOTEndpoint: () => Promise<string>;
+export { useIOTEndpoint } from "./transport.js";
 import { Events } from "./bus.js";
 export declare const useIOT: () => Promise<{
     prefix: string;
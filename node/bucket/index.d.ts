@@ -1,3 +1,82 @@
+/// <reference types="node" />
+import { Readable } from "stream";
+import { CompleteMultipartUploadCommandOutput } from "@aws-sdk/client-s3";
+import { PresignedPost } from "@aws-sdk/s3-presigned-post";
 export interface BucketResources {
 }
-export declare const Bucket: BucketResources;
+export type BucketType = {
+    [T in keyof BucketResources]: BucketResources[T] & ReturnType<typeof BucketControl>;
+};
+export declare const Bucket: BucketType;
+declare function BucketControl(bucketName: string): {
+    /**
+     * Create a URL that uploads a file with a PUT request. S3 can't limit the
+     * size of a PUT upload to a range, use `createPresignedPost` with a
+     * `maxSize` for that.
+     *
+     * @example
+     * ```ts
+     * const url = await Bucket.Uploads.presignPut("avatar.png", {
+     *   contentType: "image/png",
+     *   size: file.size,
+     * });
+     * ```
+     */
+    presignPut(key: string, options?: {
+        contentType?: string;
+        /**
+         * Size of the upload in bytes, the upload has to match it exactly
+         */
+        size?: number;
+        /**
+         * Seconds until the URL expires
+         * @default 900
+         */
+        expires?: number;
+    }): Promise<string>;
+    /**
+     * Create a URL that downloads a file
+     */
+    presignGet(key: string, options?: {
+        /**
+         * Downloads the file with this name instead of displaying it
+         */
+        filename?: string;
+        /**
+         * Seconds until the URL expires
+         * @default 900
+         */
+        expires?: number;
+    }): Promise<string>;
+    /**
+     * Create a URL and form fields that upload a file from a browser with a
+     * POST request, unlike `presignPut` the size can be limited to a range
+     */
+    createPresignedPost(key: string, options?: {
+        contentType?: string;
+        maxSize?: number;
+        /**
+         * Seconds until the URL expires
+         * @default 900
+         */
+        expires?: number;
+        fields?: Record<string, string>;
+    }): Promise<PresignedPost>;
+    /**
+     * Upload a file of any size, large files are uploaded in parts
+     */
+    upload(key: string, body: Readable | ReadableStream | Blob | Uint8Array | Buffer | string, options?: {
+        contentType?: string;
+        /**
+         * Size of each part in bytes
+         * @default 5MB
+         */
+        partSize?: number;
+        /**
+         * Number of parts uploaded at the same time
+         * @default 4
+         */
+        queueSize?: number;
+    }): Promise<CompleteMultipartUploadCommandOutput>;
+};
+export {};
@@ -1,2 +1,82 @@
-import { createProxy } from "../util/index.js";
-export const Bucket = /* @__PURE__ */ createProxy("Bucket");
+import { createProxy, getVariables2 } from "../util/index.js";
+import { GetObjectCommand, PutObjectCommand, S3Client, } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import { Upload } from "@aws-sdk/lib-storage";
+const s3 = new S3Client({});
+// Same as the default expiry of the S3 console
+const DEFAULT_EXPIRES = 900;
+export const Bucket = /* @__PURE__ */ (() => {
+    const result = createProxy("Bucket");
+    const vars = getVariables2("Bucket");
+    Object.keys(vars).forEach((name) => {
+        // @ts-expect-error
+        result[name] = {
+            ...vars[name],
+            ...BucketControl(vars[name].bucketName),
+        };
+    });
+    return result;
+})();
+function BucketControl(bucketName) {
+    return {
+        async presignPut(key, options) {
+            // A presigned PUT can't limit the size of the upload to a range so
+            // only the exact size can be signed
+            return getSignedUrl(s3, new PutObjectCommand({
+                Bucket: bucketName,
+                Key: key,
+                ContentType: options?.contentType,
+                ContentLength: options?.size,
+            }), {
+                expiresIn: options?.expires ?? DEFAULT_EXPIRES,
+                signableHeaders: new Set([
+                    ...(options?.contentType ? ["content-type"] : []),
+                    ...(options?.size !== undefined ? ["content-length"] : []),
+                ]),
+            });
+        },
+        async presignGet(key, options) {
+            return getSignedUrl(s3, new GetObjectCommand({
+                Bucket: bucketName,
+                Key: key,
+                ResponseContentDisposition: options?.filename
+                    ? `attachment; filename="${options.filename.replace(/"/g, "")}"`
+                    : undefined,
+            }), {
+                expiresIn: options?.expires ?? DEFAULT_EXPIRES,
+            });
+        },
+        async createPresignedPost(key, options) {
+            const conditions = [];
+            const fields = { ...options?.fields };
+            if (options?.maxSize !== undefined)
+                conditions.push(["content-length-range", 0, options.maxSize]);
+            if (options?.contentType) {
+                conditions.push(["eq", "$Content-Type", options.contentType]);
+                fields["Content-Type"] = options.contentType;
+            }
+            return createPresignedPost(s3, {
+                Bucket: bucketName,
+                Key: key,
+                Conditions: conditions,
+                Fields: fields,
+                Expires: options?.expires ?? DEFAULT_EXPIRES,
+            });
+        },
+        async upload(key, body, options) {
+            const upload = new Upload({
+                client: s3,
+                params: {
+                    Bucket: bucketName,
+                    Key: key,
+                    Body: body,
+                    ContentType: options?.contentType,
+                },
+                partSize: options?.partSize,
+                queueSize: options?.queueSize,
+            });
+            return upload.done();
+        },
+    };
+}
@@ -8,6 +8,8 @@ export type ParameterTypes = {
     [T in keyof ParameterResources]: string;
 };
 export type SecretTypes = {
-    [T in keyof SecretResources]: string;
+    [T in keyof SecretResources]: SecretResources[T] extends {
+        value: infer V;
+    } ? V : string;
 };
 export declare const Config: ConfigTypes & ParameterTypes & SecretTypes;
@@ -2,7 +2,7 @@ import { createProxy, getVariables2 } from "../util/index.js";
 export const Config = /* @__PURE__ */ createProxy("Config");
 const metadata = parseMetadataEnvironment();
 const parameters = flattenValues(getVariables2("Parameter"));
-const secrets = flattenValues(getVariables2("Secret"));
+const secrets = flattenSecrets(getVariables2("Secret"));
 Object.assign(Config, metadata, parameters, secrets);
 ///////////////
 // Functions
@@ -13,6 +13,17 @@ function parseMetadataEnvironment() {
         STAGE: process.env.SST_STAGE,
     };
 }
+function flattenSecrets(configValues) {
+    const acc = {};
+    Object.keys(configValues).forEach((name) => {
+        const { value, schema } = configValues[name];
+        acc[name] =
+            value !== undefined && schema && JSON.parse(schema).json
+                ? JSON.parse(value)
+                : value;
+    });
+    return acc;
+}
 function flattenValues(configValues) {
     const acc = {};
     Object.keys(configValues).forEach((name) => {
@@ -12,6 +12,7 @@ import { ZodAny, ZodObject, ZodRawShape, z } from "zod";
  * More information here: https://github.com/microsoft/TypeScript/issues/47663#issuecomment-1519138189
  */
 export { PutEventsCommandOutput };
+export { matchEventPattern } from "../../util/event-pattern.js";
 export declare function createEventBuilder<Bus extends keyof typeof EventBus, MetadataShape extends ZodRawShape | undefined, MetadataFunction extends () => any>(props: {
     bus: Bus;
     metadata?: MetadataShape;
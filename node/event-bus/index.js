@@ -5,7 +5,11 @@ import { EventBridgeClient, PutEventsCommand, } from "@aws-sdk/client-eventbridg
 import { z } from "zod";
 import { useLoader } from "../util/loader.js";
 import { Config } from "../config/index.js";
-const client = new EventBridgeClient({});
+export { matchEventPattern } from "../../util/event-pattern.js";
+// Points to the local event bus when running offline in sst dev
+const client = new EventBridgeClient({
+    endpoint: process.env.SST_EVENT_BUS_ENDPOINT,
+});
 export function createEventBuilder(props) {
     return function createEvent(type, properties) {
         const propertiesSchema = z.object(properties);
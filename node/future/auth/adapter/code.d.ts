@@ -1,6 +1,17 @@
 import { APIGatewayProxyStructuredResultV2 } from "aws-lambda";
+import { StorageAdapter } from "../storage.js";
 export declare function CodeAdapter(config: {
     length?: number;
+    /**
+     * Keeps the code on the server and counts the attempts, without it the code is kept
+     * encrypted in a cookie and can be guessed any number of times
+     */
+    storage?: StorageAdapter;
+    /**
+     * Attempts before the code is discarded, requires `storage`
+     * @default 3
+     */
+    maxAttempts?: number;
     onCodeRequest: (code: string, claims: Record<string, any>) => Promise<APIGatewayProxyStructuredResultV2>;
     onCodeInvalid: (code: string, claims: Record<string, any>) => Promise<APIGatewayProxyStructuredResultV2>;
 }): () => Promise<{
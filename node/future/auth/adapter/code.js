@@ -1,8 +1,11 @@
 import { useCookie, usePathParam, useQueryParam, useQueryParams, useResponse, } from "../../../api/index.js";
-import { randomBytes } from "crypto";
+import { randomBytes, randomUUID } from "crypto";
 import { decrypt, encrypt } from "../encryption.js";
+// Seconds a code can be used for
+const CODE_TTL = 3600;
 export function CodeAdapter(config) {
     const length = config.length || 6;
+    const maxAttempts = config.maxAttempts || 3;
     function generate() {
         const buffer = randomBytes(length);
         const otp = Array.from(buffer)
@@ -19,13 +22,19 @@ export function CodeAdapter(config) {
             delete claims["redirect_uri"];
             delete claims["response_type"];
             delete claims["provider"];
+            // With storage the code stays on the server so attempts can be counted
+            const id = randomUUID();
+            const expiry = new Date(Date.now() + CODE_TTL * 1000);
+            await config.storage?.set(["otp", id], { claims, code, attempts: 0, expiry: expiry.getTime() }, expiry);
             useResponse().cookies({
-                authorization: encrypt(JSON.stringify({
-                    claims,
-                    code,
-                })),
+                authorization: encrypt(JSON.stringify(config.storage
+                    ? { id }
+                    : {
+                        claims,
+                        code,
+                    })),
             }, {
-                maxAge: 3600,
+                maxAge: CODE_TTL,
                 secure: true,
                 sameSite: "None",
                 httpOnly: true,
@@ -36,19 +45,43 @@ export function CodeAdapter(config) {
             };
         }
         if (step === "callback") {
-            const { code, claims } = JSON.parse(decrypt(useCookie("authorization")));
+            const cookie = JSON.parse(decrypt(useCookie("authorization")));
+            const stored = cookie.id
+                ? await config.storage?.get(["otp", cookie.id])
+                : undefined;
+            const { code, claims } = stored || cookie;
             if (!code || !claims) {
                 return {
                     type: "error",
                 };
             }
             const compare = useQueryParam("code");
+            if (stored) {
+                // Guesses are counted before they're compared, concurrent
+                // guesses that lose the race are rejected as failed attempts
+                const attempts = stored.attempts + 1;
+                const counted = await config.storage.update(["otp", cookie.id], { ...stored, attempts }, new Date(stored.expiry), { attempts: stored.attempts });
+                if (!counted) {
+                    return {
+                        type: "step",
+                        properties: await config.onCodeInvalid(code, claims),
+                    };
+                }
+                if (code !== compare && attempts >= maxAttempts) {
+                    await config.storage.remove(["otp", cookie.id]);
+                    return {
+                        type: "error",
+                    };
+                }
+            }
             if (code !== compare) {
                 return {
                     type: "step",
                     properties: await config.onCodeInvalid(code, claims),
                 };
             }
+            if (stored)
+                await config.storage.remove(["otp", cookie.id]);
             useResponse().cookies({
                 authorization: "",
             }, {
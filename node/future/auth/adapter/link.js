@@ -1,16 +1,9 @@
-import { createSigner, createVerifier } from "fast-jwt";
-import { Config } from "../../../config/index.js";
 import { useDomainName, usePathParam, useQueryParam, useQueryParams, } from "../../../api/index.js";
+import { sign, verify } from "../keys.js";
 export function LinkAdapter(config) {
     return async function () {
-        // @ts-expect-error
-        const key = Config[process.env.AUTH_ID + "PrivateKey"];
-        // @ts-expect-error
-        const publicKey = Config[process.env.AUTH_ID + "PublicKey"];
-        const signer = createSigner({
+        const signer = (claims) => sign(claims, {
             expiresIn: 1000 * 60 * 10,
-            key,
-            algorithm: "RS512",
         });
         const callback = "https://" + useDomainName() + "/callback";
         const step = usePathParam("step");
@@ -28,11 +21,7 @@ export function LinkAdapter(config) {
             if (!token)
                 throw new Error("Missing token parameter");
             try {
-                const verifier = createVerifier({
-                    algorithms: ["RS512"],
-                    key: publicKey,
-                });
-                const jwt = verifier(token);
+                const jwt = verify(token);
                 return {
                     type: "success",
                     properties: jwt,
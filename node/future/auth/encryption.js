@@ -1,30 +1,41 @@
 import { createCipheriv, createDecipheriv, createHash, randomBytes, } from "crypto";
-import { Config } from "../../config/index.js";
+import { getPrivateKeys, getSigningKey } from "./keys.js";
+function toSecret(key) {
+    return createHash("sha256").update(key.privateKey).digest();
+}
 export function encrypt(data) {
-    // @ts-expect-error
-    const key = Config[process.env.AUTH_ID + "PrivateKey"];
-    const hashed = createHash("sha256").update(key).digest();
+    const key = getSigningKey();
     const iv = randomBytes(16); // Generate a random IV (Initialization Vector)
-    const cipher = createCipheriv("aes-256-cbc", hashed, iv);
+    const cipher = createCipheriv("aes-256-cbc", toSecret(key), iv);
     let encrypted = cipher.update(data, "utf8", "hex");
     encrypted += cipher.final("hex");
     return JSON.stringify({
+        k: key.kid,
         i: iv.toString("hex"),
         d: encrypted,
     });
 }
+/**
+ * Decrypts with the key that encrypted the data, so data encrypted before the
+ * keys were rotated can still be read. Data encrypted before it was tagged with
+ * a key ID is tried with every key.
+ */
 export function decrypt(data) {
-    // @ts-expect-error
-    const key = Config[process.env.AUTH_ID + "PrivateKey"];
-    const hashed = createHash("sha256").update(key).digest();
+    let parsed;
     try {
-        const parsed = JSON.parse(data);
-        const decipher = createDecipheriv("aes-256-cbc", hashed, Buffer.from(parsed.i, "hex"));
-        let decrypted = decipher.update(parsed.d, "hex", "utf8");
-        decrypted += decipher.final("utf8");
-        return decrypted;
+        parsed = JSON.parse(data);
     }
     catch {
         return;
     }
+    const keys = getPrivateKeys().filter((key) => !parsed.k || key.kid === parsed.k);
+    for (const key of keys) {
+        try {
+            const decipher = createDecipheriv("aes-256-cbc", toSecret(key), Buffer.from(parsed.i, "hex"));
+            let decrypted = decipher.update(parsed.d, "hex", "utf8");
+            decrypted += decipher.final("utf8");
+            return decrypted;
+        }
+        catch { }
+    }
 }
@@ -2,6 +2,7 @@ import { APIGatewayProxyEventV2, APIGatewayProxyStructuredResultV2 } from "aws-l
 import { Adapter } from "./adapter/adapter.js";
 import { SignerOptions } from "fast-jwt";
 import { SessionBuilder, SessionValue } from "./session.js";
+import { StorageAdapter } from "./storage.js";
 interface OnSuccessResponder<T> {
     session(input: T & Partial<SignerOptions>): {
         type: "session";
@@ -16,6 +17,20 @@ export declare class UnknownProviderError {
     provider?: string | undefined;
     constructor(provider?: string | undefined);
 }
+/**
+ * Handles the auth flow and issues tokens. Access tokens expire after `ttl.access`, clients renew
+ * them with the refresh token from the `token` step. Sessions stored in the `sst_auth_token`
+ * cookie expire with their access token as well, call the `refresh` step with the
+ * `sst_auth_refresh` cookie to renew it.
+ *
+ * Refresh tokens rotate on every use, reusing an old one revokes its whole login. Reuse can only
+ * be detected when `storage` is configured.
+ *
+ * @example
+ * ```js
+ * await fetch(`${authUrl}/refresh`, { method: "POST", credentials: "include" });
+ * ```
+ */
 export declare function AuthHandler<Providers extends Record<string, Adapter<any>>, Sessions extends SessionBuilder, Result = {
     [key in keyof Providers]: {
         provider: key;
@@ -25,9 +40,69 @@ export declare function AuthHandler<Providers extends Record<string, Adapter<any
 }[keyof Providers]>(input: {
     providers: Providers;
     sessions?: Sessions;
+    /**
+     * Seconds until tokens expire, passing `expiresIn` to `session()` overrides the access token's
+     * @default { access: 3600, refresh: 2592000 }
+     */
+    ttl?: {
+        access?: number;
+        refresh?: number;
+    };
+    /**
+     * Tracks the authorization codes and refresh tokens that were issued, so codes are single use
+     * and a reused refresh token revokes every token of the same login. Without it the handler is
+     * stateless, codes can be replayed until they expire and refresh token reuse can't be detected.
+     *
+     * @example
+     * ```js
+     * AuthHandler({
+     *   storage: DynamoStorage({ table: Table.AuthStorage.tableName }),
+     *   ...
+     * })
+     * ```
+     */
+    storage?: StorageAdapter;
+    /**
+     * Configure the OpenID Connect claims, they're returned by the `userinfo` step and included in
+     * the `id_token` issued to clients that request the `openid` scope.
+     */
+    oidc?: {
+        /**
+         * Maps a session to its claims, the `sub` claim falls back to the `userID` or `id` claim.
+         * Issuing an `id_token` fails when none of them is set, since clients identify users by it.
+         * @default The session properties
+         */
+        claims?: (session: SessionValue | {
+            [key in keyof Sessions["$type"]]: {
+                type: key;
+                properties: Sessions["$type"][key];
+            };
+        }[keyof Sessions["$type"]]) => Promise<Record<string, any>> | Record<string, any>;
+        /**
+         * Looks up a client's secret, clients with one have to send it to the `token` step with
+         * `client_secret_basic` or `client_secret_post`. Clients without one are public and
+         * can't send a secret.
+         *
+         * @example
+         * ```js
+         * clientSecret: (clientID) => clientID === "grafana" ? Config.GRAFANA_SECRET : undefined
+         * ```
+         */
+        clientSecret?: (clientID: string) => Promise<string | undefined> | string | undefined;
+    };
     /** @deprecated use allowClient callback instead */
     clients?: () => Promise<Record<string, string>>;
     allowClient?: (clientID: string, redirect: string) => Promise<boolean>;
+    /**
+     * Proof Key for Code Exchange (RFC 7636), clients that send a `code_challenge` to `authorize`
+     * have to send the matching `code_verifier` to `token`.
+     */
+    pkce?: {
+        /**
+         * Clients that have to use PKCE, they can't use the implicit `token` response type
+         */
+        required?: string[] | ((clientID: string) => Promise<boolean>);
+    };
     onAuthorize?: (event: APIGatewayProxyEventV2) => Promise<void | keyof Providers>;
     onSuccess: (input: Result, response: OnSuccessResponder<SessionValue | {
         [key in keyof Sessions["$type"]]: {
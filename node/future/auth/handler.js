@@ -1,13 +1,199 @@
-import { createSigner, createVerifier } from "fast-jwt";
-import { ApiHandler, useCookie, useCookies, useFormValue, usePathParam, useQueryParam, useQueryParams, useResponse, } from "../../api/index.js";
-import { Config } from "../../config/index.js";
+import { createHash, randomUUID, timingSafeEqual } from "crypto";
+import { createDecoder } from "fast-jwt";
+import { ApiHandler, useCookie, useCookies, useDomainName, useFormValue, useHeader, usePathParam, useQueryParam, useQueryParams, useResponse, } from "../../api/index.js";
+import { getPublicKeys, sign, verify } from "./keys.js";
+import { toJWKS } from "../../../util/auth-keys.js";
 export class UnknownProviderError {
     provider;
     constructor(provider) {
         this.provider = provider;
     }
 }
+// Seconds an authorization code can be exchanged for tokens
+const CODE_TTL = 60 * 5;
+// RFC 7636, a verifier is 43 to 128 unreserved characters
+const PKCE_VERIFIER = /^[A-Za-z0-9\-._~]{43,128}$/;
+// Registered claims are set by the signer, they can't come from the session
+const RESERVED_CLAIMS = ["iss", "aud", "exp", "iat", "nbf", "jti", "nonce"];
+function useIssuer() {
+    return `https://${useDomainName()}`;
+}
+function verifyPKCE(challenge, method, verifier) {
+    if (!verifier || !PKCE_VERIFIER.test(verifier))
+        return false;
+    if (method === "S256")
+        return (createHash("sha256").update(verifier).digest("base64url") === challenge);
+    return verifier === challenge;
+}
+/**
+ * Clients send their credentials in the authorization header with
+ * client_secret_basic, or in the form with client_secret_post and when
+ * they don't have a secret
+ */
+function useClientCredentials() {
+    const header = useHeader("authorization");
+    if (!header?.match(/^Basic /i)) {
+        return {
+            clientID: useFormValue("client_id"),
+            secret: useFormValue("client_secret"),
+        };
+    }
+    const decoded = Buffer.from(header.substring(6), "base64").toString();
+    const index = decoded.indexOf(":");
+    if (index === -1)
+        return;
+    // Both are form encoded before they're joined (RFC 6749 2.3.1)
+    const decode = (value) => decodeURIComponent(value.replace(/\+/g, " "));
+    try {
+        return {
+            clientID: decode(decoded.substring(0, index)),
+            secret: decode(decoded.substring(index + 1)),
+        };
+    }
+    catch {
+        return;
+    }
+}
 export function AuthHandler(input) {
+    const ttl = {
+        access: input.ttl?.access ?? 60 * 60,
+        refresh: input.ttl?.refresh ?? 60 * 60 * 24 * 30,
+    };
+    function signAccessToken(session, options) {
+        const token = sign(session, {
+            expiresIn: ttl.access * 1000,
+            ...options,
+        });
+        const { exp, iat } = createDecoder()(token);
+        return {
+            token,
+            expiresIn: exp ? exp - iat : undefined,
+        };
+    }
+    async function getClaims(session) {
+        const claims = input.oidc?.claims
+            ? await input.oidc.claims(session)
+            : session.properties;
+        const subject = claims.sub ?? claims.userID ?? claims.id;
+        // Clients identify users by their subject so it can't change between logins
+        if (subject === undefined || subject === null)
+            throw new Error("Missing the sub claim, return it from oidc.claims");
+        return {
+            ...Object.fromEntries(Object.entries(claims).filter(([key]) => !RESERVED_CLAIMS.includes(key))),
+            sub: String(subject),
+        };
+    }
+    /**
+     * Refresh tokens of the same login share a family, each refresh rotates
+     * the token and only the latest one of a family is accepted when storage
+     * is configured
+     */
+    async function signRefreshToken(props) {
+        const family = props.family || randomUUID();
+        const jti = randomUUID();
+        const token = sign({
+            token_use: "refresh",
+            client_id: props.clientID,
+            fid: family,
+            jti,
+            session: props.session,
+            options: props.options,
+            scope: props.scope,
+        }, {
+            expiresIn: ttl.refresh * 1000,
+        });
+        const key = ["refresh", family];
+        const expiry = new Date(Date.now() + ttl.refresh * 1000);
+        if (!props.previous) {
+            await input.storage?.set(key, { jti }, expiry);
+            return token;
+        }
+        // Rotating fails when the previous token isn't the latest anymore, it was
+        // reused so it may have leaked, revoke the whole family to log out
+        // everyone holding it
+        if (input.storage &&
+            !(await input.storage.update(key, { jti }, expiry, { jti: props.previous }))) {
+            await input.storage.remove(key);
+            return;
+        }
+        return token;
+    }
+    function verifyRefreshToken(token) {
+        let verified;
+        try {
+            verified = verify(token);
+        }
+        catch { }
+        if (verified?.token_use !== "refresh")
+            return;
+        return verified;
+    }
+    function setSessionCookies(access, refresh) {
+        useResponse()
+            .cookie({
+            key: "sst_auth_token",
+            value: access.token,
+            maxAge: access.expiresIn,
+        })
+            .cookie({
+            key: "sst_auth_refresh",
+            value: refresh,
+            maxAge: ttl.refresh,
+        });
+    }
+    /**
+     * Clients without a secret are public, they're identified by their ID only
+     */
+    async function authenticateClient(client) {
+        if (!client?.clientID)
+            return false;
+        const expected = await input.oidc?.clientSecret?.(client.clientID);
+        if (!expected)
+            return !client.secret;
+        const hash = (value) => createHash("sha256").update(value).digest();
+        return (client.secret !== undefined &&
+            timingSafeEqual(hash(client.secret), hash(expected)));
+    }
+    async function issueTokens(props) {
+        // OpenID Connect clients ask for an id token with the openid scope,
+        // the claims are read first so a failure doesn't use up the refresh token
+        const claims = props.scope?.split(" ").includes("openid")
+            ? await getClaims(props.session)
+            : undefined;
+        const refresh = await signRefreshToken(props);
+        if (!refresh) {
+            return {
+                statusCode: 400,
+                body: "Invalid refresh_token",
+            };
+        }
+        const access = signAccessToken(props.session, props.options);
+        const idToken = claims
+            ? sign({
+                ...claims,
+                token_use: "id",
+                iss: useIssuer(),
+                aud: props.clientID,
+                ...(props.nonce ? { nonce: props.nonce } : {}),
+            }, {
+                expiresIn: ttl.access * 1000,
+            })
+            : undefined;
+        return {
+            statusCode: 200,
+            headers: {
+                "content-type": "application/json",
+            },
+            body: JSON.stringify({
+                access_token: access.token,
+                token_type: "bearer",
+                expires_in: access.expiresIn,
+                refresh_token: refresh,
+                id_token: idToken,
+                scope: props.scope,
+            }),
+        };
+    }
     return ApiHandler(async (evt) => {
         const step = usePathParam("step");
         if (!step) {
@@ -42,12 +228,123 @@ export function AuthHandler(input) {
         `,
             };
         }
+        // Served from /.well-known/openid-configuration
+        if (step === "openid-configuration") {
+            const issuer = useIssuer();
+            return {
+                statusCode: 200,
+                headers: {
+                    "content-type": "application/json",
+                    "cache-control": "public, max-age=600",
+                },
+                body: JSON.stringify({
+                    issuer,
+                    authorization_endpoint: `${issuer}/authorize`,
+                    token_endpoint: `${issuer}/token`,
+                    userinfo_endpoint: `${issuer}/userinfo`,
+                    jwks_uri: `${issuer}/.well-known/jwks.json`,
+                    response_types_supported: ["code", "token"],
+                    grant_types_supported: [
+                        "authorization_code",
+                        "refresh_token",
+                        "implicit",
+                    ],
+                    subject_types_supported: ["public"],
+                    id_token_signing_alg_values_supported: ["RS512"],
+                    scopes_supported: ["openid"],
+                    token_endpoint_auth_methods_supported: [
+                        "client_secret_basic",
+                        "client_secret_post",
+                        "none",
+                    ],
+                    code_challenge_methods_supported: ["S256", "plain"],
+                }),
+            };
+        }
+        if (step === "userinfo") {
+            const header = useHeader("authorization") || "";
+            let session;
+            try {
+                session = verify(header.replace(/^Bearer /i, ""));
+            }
+            catch { }
+            // Only access tokens are accepted
+            if (!session?.type || session.token_use) {
+                return {
+                    statusCode: 401,
+                    headers: {
+                        "www-authenticate": 'Bearer error="invalid_token"',
+                    },
+                };
+            }
+            return {
+                statusCode: 200,
+                headers: {
+                    "content-type": "application/json",
+                },
+                body: JSON.stringify(await getClaims({
+                    type: session.type,
+                    properties: session.properties,
+                })),
+            };
+        }
+        // Served from /.well-known/jwks.json
+        if (step === "jwks.json") {
+            return {
+                statusCode: 200,
+                headers: {
+                    "content-type": "application/json",
+                    "cache-control": "public, max-age=600",
+                },
+                body: JSON.stringify(toJWKS(getPublicKeys())),
+            };
+        }
         if (step === "favicon.ico") {
             return {
                 statusCode: 404,
             };
         }
         if (step === "token") {
+            const client = useClientCredentials();
+            if (!(await authenticateClient(client))) {
+                return {
+                    statusCode: 401,
+                    headers: {
+                        "www-authenticate": 'Basic realm="token"',
+                    },
+                    body: "Invalid client",
+                };
+            }
+            if (useFormValue("grant_type") === "refresh_token") {
+                const refreshToken = useFormValue("refresh_token");
+                if (!refreshToken) {
+                    return {
+                        statusCode: 400,
+                        body: "Missing refresh_token",
+                    };
+                }
+                const verified = verifyRefreshToken(refreshToken);
+                if (!verified) {
+                    return {
+                        statusCode: 400,
+                        body: "Invalid refresh_token",
+                    };
+                }
+                if (verified.client_id !== client.clientID) {
+                    return {
+                        statusCode: 400,
+                        body: "client_id mismatch",
+                    };
+                }
+                return issueTokens({
+                    session: verified.session,
+                    options: verified.options,
+                    clientID: verified.client_id,
+                    family: verified.fid,
+                    previous: verified.jti,
+                    scope: verified.scope,
+                });
+            }
             if (useFormValue("grant_type") !== "authorization_code") {
                 return {
                     statusCode: 400,
@@ -61,31 +358,105 @@ export function AuthHandler(input) {
                     body: "Missing code",
                 };
             }
-            // @ts-expect-error
-            const pub = Config[process.env.AUTH_ID + "PublicKey"];
-            const verified = createVerifier({
-                algorithms: ["RS512"],
-                key: pub,
-            })(code);
+            let verified;
+            try {
+                verified = verify(code);
+            }
+            catch { }
+            // Other tokens are signed with the same key, only codes are accepted
+            if (verified?.token_use !== "code") {
+                return {
+                    statusCode: 400,
+                    headers: {
+                        "content-type": "application/json",
+                    },
+                    body: JSON.stringify({ error: "invalid_grant" }),
+                };
+            }
             if (verified.redirect_uri !== useFormValue("redirect_uri")) {
                 return {
                     statusCode: 400,
                     body: "redirect_uri mismatch",
                 };
             }
-            if (verified.client_id !== useFormValue("client_id")) {
+            if (verified.client_id !== client.clientID) {
                 return {
                     statusCode: 400,
                     body: "client_id mismatch",
                 };
             }
+            // A verifier for a code issued without a challenge is rejected as well
+            if (verified.code_challenge
+                ? !verifyPKCE(verified.code_challenge, verified.code_challenge_method, useFormValue("code_verifier"))
+                : useFormValue("code_verifier")) {
+                return {
+                    statusCode: 400,
+                    body: "Invalid code_verifier",
+                };
+            }
+            let family;
+            if (input.storage) {
+                const key = ["code", verified.jti];
+                const issued = await input.storage.get(key);
+                if (!issued) {
+                    return {
+                        statusCode: 400,
+                        body: "Invalid code",
+                    };
+                }
+                // Marking the code as used only succeeds once, otherwise it was
+                // replayed, revoke the tokens it was exchanged for
+                if (issued.used ||
+                    !(await input.storage.update(key, { ...issued, used: true }, new Date(verified.exp * 1000), { used: undefined }))) {
+                    await input.storage.remove(["refresh", issued.family]);
+                    return {
+                        statusCode: 400,
+                        body: "Invalid code",
+                    };
+                }
+                family = issued.family;
+            }
+            return issueTokens({
+                session: verified.session,
+                options: verified.options,
+                clientID: verified.client_id,
+                family,
+                scope: verified.scope,
+                nonce: verified.nonce,
+            });
+        }
+        // Renews the sst_auth_token cookie once it expires, the browser sends
+        // the refresh token cookie that was set along with it
+        if (step === "refresh") {
+            const verified = verifyRefreshToken(useCookie("sst_auth_refresh"));
+            // Refresh tokens issued to clients are only accepted by the token step
+            const refresh = verified && !verified.client_id
+                ? await signRefreshToken({
+                    session: verified.session,
+                    options: verified.options,
+                    family: verified.fid,
+                    previous: verified.jti,
+                })
+                : undefined;
+            if (!refresh) {
+                useResponse().cookie({
+                    key: "sst_auth_refresh",
+                    value: "",
+                    expires: new Date(1),
+                });
+                return {
+                    statusCode: 401,
+                };
+            }
+            const access = signAccessToken(verified.session, verified.options);
+            setSessionCookies(access, refresh);
             return {
                 statusCode: 200,
                 headers: {
                     "content-type": "application/json",
                 },
                 body: JSON.stringify({
-                    access_token: verified.token,
+                    expires_in: access.expiresIn,
                 }),
             };
         }
@@ -107,6 +478,11 @@ export function AuthHandler(input) {
                 ...useCookies(),
                 ...useQueryParams(),
             };
+            // Not read from the cookies so a previous attempt's values aren't reused
+            const code_challenge = useQueryParam("code_challenge");
+            const code_challenge_method = useQueryParam("code_challenge_method");
+            const scope = useQueryParam("scope");
+            const nonce = useQueryParam("nonce");
             if (!redirect_uri) {
                 return {
                     statusCode: 400,
@@ -147,12 +523,49 @@ export function AuthHandler(input) {
                     body: "Invalid redirect_uri",
                 };
             }
+            if (code_challenge) {
+                if (code_challenge_method &&
+                    !["S256", "plain"].includes(code_challenge_method)) {
+                    return {
+                        statusCode: 400,
+                        body: "Unsupported code_challenge_method",
+                    };
+                }
+                // Challenges are derived from verifiers so they follow the same format
+                if (!PKCE_VERIFIER.test(code_challenge)) {
+                    return {
+                        statusCode: 400,
+                        body: "Invalid code_challenge",
+                    };
+                }
+            }
+            const requirePKCE = Array.isArray(input.pkce?.required)
+                ? input.pkce?.required.includes(client_id)
+                : await input.pkce?.required?.(client_id);
+            if (requirePKCE) {
+                if (response_type !== "code") {
+                    return {
+                        statusCode: 400,
+                        body: "PKCE is required, use response_type=code",
+                    };
+                }
+                if (!code_challenge) {
+                    return {
+                        statusCode: 400,
+                        body: "Missing code_challenge",
+                    };
+                }
+            }
             useResponse().cookies({
                 provider: provider,
                 response_type: response_type,
                 client_id: client_id,
                 redirect_uri: redirect_uri,
                 state: state || "",
+                code_challenge: code_challenge || "",
+                code_challenge_method: code_challenge ? code_challenge_method || "plain" : "",
+                scope: scope || "",
+                nonce: nonce || "",
             }, {
                 maxAge: 60 * 15,
                 secure: true,
@@ -198,39 +611,39 @@ export function AuthHandler(input) {
             console.log("onSuccess", onSuccess);
             if (onSuccess.type === "session") {
                 const { type, properties, ...rest } = onSuccess.properties;
-                // @ts-expect-error
-                const priv = Config[process.env.AUTH_ID + "PrivateKey"];
-                const signer = createSigner({
-                    ...rest,
-                    key: priv,
-                    algorithm: "RS512",
-                });
-                const token = signer({
-                    type,
-                    properties,
-                });
-                useResponse()
-                    .cookie({
-                    key: "sst_auth_token",
-                    value: token,
-                    maxAge: 10 * 365 * 24 * 60 * 60,
-                })
-                    .cookies({
+                const { token, expiresIn } = signAccessToken({ type, properties }, rest);
+                setSessionCookies({ token, expiresIn }, await signRefreshToken({
+                    session: { type, properties },
+                    options: rest,
+                }));
+                useResponse().cookies({
                     provider: "",
                     response_type: "",
                     client_id: "",
                     redirect_uri: "",
                     state: "",
+                    code_challenge: "",
+                    code_challenge_method: "",
+                    scope: "",
+                    nonce: "",
                 }, {
                     expires: new Date(1),
                 });
-                const { client_id, response_type, redirect_uri, state } = {
+                const { client_id, response_type, redirect_uri, state, code_challenge, code_challenge_method, } = {
                     ...useCookies(),
                     ...useQueryParams(),
                 };
+                // Providers send their own scope to the callback
+                const scope = useCookie("scope");
+                const nonce = useCookie("nonce");
                 if (response_type === "token") {
                     const location = new URL(redirect_uri);
-                    location.hash = `access_token=${token}&state=${state || ""}`;
+                    location.hash = new URLSearchParams({
+                        access_token: token,
+                        token_type: "bearer",
+                        ...(expiresIn ? { expires_in: expiresIn.toString() } : {}),
+                        state: state || "",
+                    }).toString();
                     return {
                         statusCode: 302,
                         headers: {
@@ -239,18 +652,28 @@ export function AuthHandler(input) {
                     };
                 }
                 if (response_type === "code") {
-                    // This allows the code to be reused within a 30 second window
-                    // The code should be single use but we're making this tradeoff to remain stateless
-                    // In the future can store this in a dynamo table to ensure single use
-                    const code = createSigner({
-                        expiresIn: 1000 * 60 * 5,
-                        key: priv,
-                        algorithm: "RS512",
-                    })({
+                    // Without storage the code can be reused until it expires
+                    // to remain stateless, with storage it's single use
+                    const jti = randomUUID();
+                    const code = sign({
+                        token_use: "code",
+                        jti,
                         client_id,
                         redirect_uri,
-                        token: token,
+                        session: { type, properties },
+                        options: rest,
+                        ...(scope ? { scope } : {}),
+                        ...(nonce ? { nonce } : {}),
+                        ...(code_challenge
+                            ? {
+                                code_challenge,
+                                code_challenge_method: code_challenge_method || "plain",
+                            }
+                            : {}),
+                    }, {
+                        expiresIn: CODE_TTL * 1000,
                     });
+                    await input.storage?.set(["code", jti], { family: randomUUID() }, new Date(Date.now() + CODE_TTL * 1000));
                     const location = new URL(redirect_uri);
                     location.searchParams.set("code", code);
                     location.searchParams.set("state", state || "");
@@ -13,5 +13,6 @@ export * from "./adapter/code.js";
 export type { Adapter } from "./adapter/adapter.js";
 export * from "./session.js";
 export * from "./handler.js";
+export * from "./storage.js";
 export * from "./encryption.js";
 export { Issuer } from "openid-client";
@@ -11,5 +11,6 @@ export * from "./adapter/spotify.js";
 export * from "./adapter/code.js";
 export * from "./session.js";
 export * from "./handler.js";
+export * from "./storage.js";
 export * from "./encryption.js";
 export { Issuer } from "openid-client";
@@ -0,0 +1,21 @@
+import { SignerOptions } from "fast-jwt";
+import { AuthKey } from "../../../util/auth-keys.js";
+/**
+ * The keys that verify tokens, includes the keys that are being phased in
+ * and out
+ */
+export declare function getPublicKeys(): AuthKey[];
+/**
+ * The keys with a private half, only available to the auth function
+ */
+export declare function getPrivateKeys(): AuthKey[];
+/**
+ * The key tokens are signed with, only available to the auth function
+ */
+export declare function getSigningKey(): AuthKey;
+export declare function sign(payload: Record<string, any>, options?: Partial<SignerOptions>): string;
+/**
+ * Verifies a token with the key in its `kid` header, tokens signed before
+ * keys had IDs are checked against every key
+ */
+export declare function verify(token: string): any;
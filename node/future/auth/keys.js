@@ -0,0 +1,80 @@
+import { createDecoder, createSigner, createVerifier } from "fast-jwt";
+import { Auth } from "../../auth/index.js";
+import { Config } from "../../config/index.js";
+import { parseKeys } from "../../../util/auth-keys.js";
+const parsed = new Map();
+function parse(value) {
+    if (!parsed.has(value))
+        parsed.set(value, parseKeys(value));
+    return parsed.get(value);
+}
+/**
+ * The keys that verify tokens, includes the keys that are being phased in
+ * and out
+ */
+export function getPublicKeys() {
+    // This is the auth function accessing the public key
+    if (process.env.AUTH_ID) {
+        const value =
+            // @ts-expect-error
+            Config[process.env.AUTH_ID + "PublicKeys"] ||
+                // @ts-expect-error
+                Config[process.env.AUTH_ID + "PublicKey"];
+        if (value)
+            return parse(value);
+    }
+    const [first] = Object.values(Auth);
+    if (!first)
+        throw new Error("No auth provider found. Did you forget to add one?");
+    // The set of keys is only there once the keys have been rotated
+    return parse(first.publicKeys || first.publicKey);
+}
+/**
+ * The keys with a private half, only available to the auth function
+ */
+export function getPrivateKeys() {
+    // @ts-expect-error
+    return parse(Config[process.env.AUTH_ID + "PrivateKey"]).filter((key) => key.privateKey);
+}
+/**
+ * The key tokens are signed with, only available to the auth function
+ */
+export function getSigningKey() {
+    const key = getPrivateKeys().find((key) => key.status === "current");
+    if (!key)
+        throw new Error("No signing key found for the auth");
+    return key;
+}
+export function sign(payload, options) {
+    const key = getSigningKey();
+    return createSigner({
+        ...options,
+        key: key.privateKey,
+        kid: key.kid,
+        algorithm: "RS512",
+    })(payload);
+}
+const decode = createDecoder({ complete: true });
+/**
+ * Verifies a token with the key in its `kid` header, tokens signed before
+ * keys had IDs are checked against every key
+ */
+export function verify(token) {
+    const { header } = decode(token);
+    const keys = getPublicKeys().filter((key) => !header.kid || key.kid === header.kid);
+    if (!keys.length)
+        throw new Error(`Unknown signing key "${header.kid}"`);
+    let error;
+    for (const key of keys) {
+        try {
+            return createVerifier({
+                algorithms: ["RS512"],
+                key: key.publicKey,
+            })(token);
+        }
+        catch (ex) {
+            error = ex;
+        }
+    }
+    throw error;
+}
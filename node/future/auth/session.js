@@ -1,9 +1,7 @@
-import { createSigner, createVerifier } from "fast-jwt";
 import { Context } from "../../../context/context2.js";
 import { useCookie, useHeader } from "../../api/index.js";
-import { Auth } from "../../auth/index.js";
-import { Config } from "../../config/index.js";
 import { useContextType } from "../../../context/handler.js";
+import { sign, verify as verifyToken } from "./keys.js";
 const SessionMemo = /* @__PURE__ */ Context.memo(() => {
     // Get the context type and hooks that match that type
     let token = "";
@@ -37,19 +35,6 @@ export function useSession() {
     const ctx = SessionMemo();
     return ctx;
 }
-function getPublicKey() {
-    // This is the auth function accessing the public key
-    if (process.env.AUTH_ID) {
-        // @ts-expect-error
-        const key = Config[process.env.AUTH_ID + "PublicKey"];
-        if (key)
-            return key;
-    }
-    const [first] = Object.values(Auth);
-    if (!first)
-        throw new Error("No auth provider found. Did you forget to add one?");
-    return first.publicKey;
-}
 /**
  * Creates a new session token with provided information
  *
@@ -64,17 +49,10 @@ function getPublicKey() {
  * ```
  */
 function create(input) {
-    // @ts-expect-error
-    const key = Config[process.env.AUTH_ID + "PrivateKey"];
-    const signer = createSigner({
-        ...input.options,
-        key,
-        algorithm: "RS512",
-    });
-    const token = signer({
+    const token = sign({
         type: input.type,
         properties: input.properties,
-    });
+    }, input.options);
     return token;
 }
 /**
@@ -88,10 +66,10 @@ function create(input) {
 function verify(token) {
     if (token) {
         try {
-            const jwt = createVerifier({
-                algorithms: ["RS512"],
-                key: getPublicKey(),
-            })(token);
+            const jwt = verifyToken(token);
+            // Refresh and id tokens are signed with the same key but are not sessions
+            if (jwt.token_use)
+                throw new Error(`${jwt.token_use} tokens can't be used as sessions`);
             return jwt;
         }
         catch (e) { }
@@ -108,26 +86,18 @@ export const Session = {
 export function createSessionBuilder() {
     return {
         create(type, properties, options) {
-            // @ts-expect-error
-            const key = Config[process.env.AUTH_ID + "PrivateKey"];
-            const signer = createSigner({
-                ...options,
-                key,
-                algorithm: "RS512",
-            });
-            const token = signer({
+            const token = sign({
                 type: type,
                 properties: properties,
-            });
+            }, options);
             return token;
         },
         verify(token) {
             if (token) {
                 try {
-                    const jwt = createVerifier({
-                        algorithms: ["RS512"],
-                        key: getPublicKey(),
-                    })(token);
+                    const jwt = verifyToken(token);
+                    if (jwt.token_use)
+                        throw new Error(`${jwt.token_use} tokens can't be used as sessions`);
                     return jwt;
                 }
                 catch (e) { }
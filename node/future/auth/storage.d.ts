@@ -0,0 +1,55 @@
+/**
+ * Where the auth handler keeps state between requests, ie. the refresh
+ * tokens and authorization codes it issued. Values expire on their own once
+ * `expiry` is reached.
+ */
+export interface StorageAdapter {
+    get(key: string[]): Promise<Record<string, any> | undefined>;
+    set(key: string[], value: Record<string, any>, expiry?: Date): Promise<void>;
+    /**
+     * Replaces a value only if it exists and every field of `expected` still matches it, fields
+     * expected to be `undefined` must not be set. The check and write are atomic, so only one of
+     * several concurrent updates succeeds.
+     *
+     * @returns Whether the value was replaced
+     */
+    update(key: string[], value: Record<string, any>, expiry: Date | undefined, expected: Record<string, any>): Promise<boolean>;
+    remove(key: string[]): Promise<void>;
+}
+/**
+ * Keeps values in memory, only useful for tests and local development since
+ * every function instance has its own copy
+ */
+export declare function MemoryStorage(): StorageAdapter;
+/**
+ * Keeps values in a DynamoDB table with a string partition key, enable
+ * time to live on the expiry attribute so expired values are cleaned up.
+ *
+ * @example
+ * ```js
+ * // Stack
+ * new Table(stack, "AuthStorage", {
+ *   fields: { pk: "string" },
+ *   primaryIndex: { partitionKey: "pk" },
+ *   timeToLiveAttribute: "expiry",
+ * });
+ *
+ * // Function
+ * DynamoStorage({ table: Table.AuthStorage.tableName });
+ * ```
+ */
+export declare function DynamoStorage(props: {
+    /**
+     * Name of the table
+     */
+    table: string;
+    /**
+     * @default "pk"
+     */
+    pk?: string;
+    /**
+     * Attribute with the expiry in epoch seconds
+     * @default "expiry"
+     */
+    ttl?: string;
+}): StorageAdapter;
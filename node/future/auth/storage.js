@@ -0,0 +1,134 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DeleteCommand, DynamoDBDocumentClient, GetCommand, PutCommand, } from "@aws-sdk/lib-dynamodb";
+const SEPARATOR = String.fromCharCode(0x1f);
+function joinKey(key) {
+    return key.join(SEPARATOR);
+}
+function matches(value, expected) {
+    return Object.entries(expected).every(([field, match]) => value[field] === match);
+}
+/**
+ * Keeps values in memory, only useful for tests and local development since
+ * every function instance has its own copy
+ */
+export function MemoryStorage() {
+    const store = new Map();
+    function read(key) {
+        const entry = store.get(joinKey(key));
+        if (!entry)
+            return;
+        if (entry.expiry && entry.expiry.getTime() <= Date.now()) {
+            store.delete(joinKey(key));
+            return;
+        }
+        return entry.value;
+    }
+    return {
+        async get(key) {
+            return read(key);
+        },
+        async set(key, value, expiry) {
+            store.set(joinKey(key), { value, expiry });
+        },
+        async update(key, value, expiry, expected) {
+            const current = read(key);
+            if (!current || !matches(current, expected))
+                return false;
+            store.set(joinKey(key), { value, expiry });
+            return true;
+        },
+        async remove(key) {
+            store.delete(joinKey(key));
+        },
+    };
+}
+/**
+ * Keeps values in a DynamoDB table with a string partition key, enable
+ * time to live on the expiry attribute so expired values are cleaned up.
+ *
+ * @example
+ * ```js
+ * // Stack
+ * new Table(stack, "AuthStorage", {
+ *   fields: { pk: "string" },
+ *   primaryIndex: { partitionKey: "pk" },
+ *   timeToLiveAttribute: "expiry",
+ * });
+ *
+ * // Function
+ * DynamoStorage({ table: Table.AuthStorage.tableName });
+ * ```
+ */
+export function DynamoStorage(props) {
+    const client = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+    const pk = props.pk || "pk";
+    const ttl = props.ttl || "expiry";
+    return {
+        async get(key) {
+            const result = await client.send(new GetCommand({
+                TableName: props.table,
+                Key: { [pk]: joinKey(key) },
+                ConsistentRead: true,
+            }));
+            const item = result.Item;
+            if (!item)
+                return;
+            // Items are deleted some time after they expire
+            if (item[ttl] && item[ttl] <= Date.now() / 1000)
+                return;
+            return item.value;
+        },
+        async set(key, value, expiry) {
+            await client.send(new PutCommand({
+                TableName: props.table,
+                Item: {
+                    [pk]: joinKey(key),
+                    value,
+                    ...(expiry ? { [ttl]: Math.floor(expiry.getTime() / 1000) } : {}),
+                },
+            }));
+        },
+        async update(key, value, expiry, expected) {
+            const names = { "#pk": pk, "#value": "value", "#ttl": ttl };
+            const values = { ":now": Math.floor(Date.now() / 1000) };
+            const conditions = [
+                "attribute_exists(#pk)",
+                "(attribute_not_exists(#ttl) OR #ttl > :now)",
+            ];
+            Object.entries(expected).forEach(([field, match], index) => {
+                names[`#f${index}`] = field;
+                if (match === undefined) {
+                    conditions.push(`attribute_not_exists(#value.#f${index})`);
+                    return;
+                }
+                values[`:f${index}`] = match;
+                conditions.push(`#value.#f${index} = :f${index}`);
+            });
+            try {
+                await client.send(new PutCommand({
+                    TableName: props.table,
+                    Item: {
+                        [pk]: joinKey(key),
+                        value,
+                        ...(expiry ? { [ttl]: Math.floor(expiry.getTime() / 1000) } : {}),
+                    },
+                    ConditionExpression: conditions.join(" AND "),
+                    ExpressionAttributeNames: names,
+                    ExpressionAttributeValues: values,
+                }));
+                return true;
+            }
+            catch (e) {
+                if (e.name === "ConditionalCheckFailedException")
+                    return false;
+                throw e;
+            }
+        },
+        async remove(key) {
+            await client.send(new DeleteCommand({
+                TableName: props.table,
+                Key: { [pk]: joinKey(key) },
+            }));
+        },
+    };
+}
@@ -5,6 +5,24 @@ export interface JobTypes {
 export type JobRunProps<T extends keyof JobResources> = {
     payload?: JobTypes[T];
 };
+export type JobStatus = {
+    jobId: string;
+    status: "queued" | "running" | "succeeded" | "failed" | "stopped";
+    startedAt?: Date;
+    endedAt?: Date;
+    /**
+     * The phase that failed, for failed jobs
+     */
+    error?: {
+        phase?: string;
+        code?: string;
+        message?: string;
+    };
+};
+export type JobLogEvent = {
+    timestamp: Date;
+    message: string;
+};
 export type JobType = {
     [T in keyof JobResources]: ReturnType<typeof JobControl<T>>;
 };
@@ -14,6 +32,39 @@ declare function JobControl<Name extends keyof JobResources>(name: Name, vars: R
         jobId: string;
     }>;
     cancel(jobId: string): Promise<void>;
+    /**
+     * Looks up a run on CodeBuild. Not available in `sst dev`, where jobs run
+     * locally as functions.
+     */
+    status(jobId: string): Promise<JobStatus>;
+    /**
+     * List the most recent runs of the job, up to 100 per page. Pages without
+     * a run in the given status are skipped. Not available in `sst dev`.
+     */
+    list(props?: {
+        status?: JobStatus["status"];
+        /**
+         * The cursor returned by the previous page
+         */
+        cursor?: string;
+    }): Promise<{
+        jobs: JobStatus[];
+        cursor?: string;
+    }>;
+    /**
+     * Reads the log events of a job, when following the logs are polled
+     * until the job completes. Not available in `sst dev`.
+     *
+     * @example
+     * ```ts
+     * for await (const event of Job.MyJob.logs(jobId, { follow: true })) {
+     *   console.log(event.message);
+     * }
+     * ```
+     */
+    logs(jobId: string, props?: {
+        follow?: boolean;
+    }): AsyncGenerator<JobLogEvent, void>;
 };
 /**
  * Create a new job handler.
@@ -1,6 +1,12 @@
 import { createProxy, getVariables2 } from "../util/index.js";
 import { InvokeCommand, LambdaClient } from "@aws-sdk/client-lambda";
+import { BatchGetBuildsCommand, CodeBuildClient, ListBuildsForProjectCommand, } from "@aws-sdk/client-codebuild";
+import { CloudWatchLogsClient, GetLogEventsCommand, } from "@aws-sdk/client-cloudwatch-logs";
 const lambda = new LambdaClient({});
+const codebuild = new CodeBuildClient({});
+const cloudwatch = new CloudWatchLogsClient({});
+// How often logs are polled while following a job
+const LOG_POLL_INTERVAL = 1000;
 export const Job = /* @__PURE__ */ (() => {
     const result = createProxy("Job");
     const vars = getVariables2("Job");
@@ -12,6 +18,18 @@ export const Job = /* @__PURE__ */ (() => {
 })();
 function JobControl(name, vars) {
     const functionName = vars.functionName;
+    const assertCodeBuild = () => {
+        if (vars.provider === "lambda")
+            throw new Error(`Runs of the "${name}" job can't be looked up in sst dev, they run as functions`);
+    };
+    const getBuild = async (jobId) => {
+        assertCodeBuild();
+        const resp = await codebuild.send(new BatchGetBuildsCommand({ ids: [jobId] }));
+        const build = resp.builds?.[0];
+        if (!build || build.projectName !== vars.projectName)
+            throw new Error(`Job id ${jobId} of the "${name}" job not found`);
+        return build;
+    };
     return {
         async run(props) {
             // Invoke the Lambda function
@@ -37,6 +55,112 @@ function JobControl(name, vars) {
                 throw new Error(`Failed to cancel the "${name}" job id ${jobId}. Error: ${ret.FunctionError}`);
             }
         },
+        async status(jobId) {
+            return toJobStatus(await getBuild(jobId));
+        },
+        async list(props) {
+            assertCodeBuild();
+            let cursor = props?.cursor;
+            // CodeBuild can't filter by status, keep going until a page has a
+            // match so callers don't get empty pages with a cursor
+            while (true) {
+                const resp = await codebuild.send(new ListBuildsForProjectCommand({
+                    projectName: vars.projectName,
+                    sortOrder: "DESCENDING",
+                    nextToken: cursor,
+                }));
+                const ids = resp.ids || [];
+                const builds = ids.length
+                    ? (await codebuild.send(new BatchGetBuildsCommand({ ids }))).builds || []
+                    : [];
+                const jobs = ids
+                    .map((id) => builds.find((build) => build.id === id))
+                    .filter((build) => build)
+                    .map(toJobStatus)
+                    .filter((job) => !props?.status || job.status === props.status);
+                cursor = resp.nextToken;
+                if (jobs.length || !cursor)
+                    return { jobs, cursor };
+            }
+        },
+        /**
+         * Reads the log events of a job, when following the logs are polled
+         * until the job completes
+         */
+        async *logs(jobId, props) {
+            let token;
+            while (true) {
+                const build = await getBuild(jobId);
+                const complete = build.buildComplete;
+                const { groupName, streamName } = build.logs || {};
+                if (groupName && streamName) {
+                    // Keep reading until the end of the stream is reached
+                    while (true) {
+                        const resp = await cloudwatch
+                            .send(new GetLogEventsCommand({
+                            logGroupName: groupName,
+                            logStreamName: streamName,
+                            startFromHead: true,
+                            nextToken: token,
+                        }))
+                            .catch((ex) => {
+                            // The stream is created shortly after the job starts
+                            if (ex.name === "ResourceNotFoundException")
+                                return undefined;
+                            throw ex;
+                        });
+                        if (!resp)
+                            break;
+                        for (const event of resp.events || []) {
+                            yield {
+                                timestamp: new Date(event.timestamp),
+                                message: event.message,
+                            };
+                        }
+                        const done = resp.nextForwardToken === token;
+                        token = resp.nextForwardToken;
+                        if (done)
+                            break;
+                    }
+                }
+                if (complete || !props?.follow)
+                    return;
+                await new Promise((resolve) => setTimeout(resolve, LOG_POLL_INTERVAL));
+            }
+        },
+    };
+}
+function toJobStatus(build) {
+    const status = (() => {
+        switch (build.buildStatus) {
+            case "SUCCEEDED":
+                return "succeeded";
+            case "STOPPED":
+                return "stopped";
+            case "FAILED":
+            case "FAULT":
+            case "TIMED_OUT":
+                return "failed";
+        }
+        return ["SUBMITTED", "QUEUED", "PROVISIONING"].includes(build.currentPhase)
+            ? "queued"
+            : "running";
+    })();
+    const failed = status === "failed"
+        ? build.phases?.find((phase) => phase.phaseStatus && phase.phaseStatus !== "SUCCEEDED")
+        : undefined;
+    return {
+        jobId: build.id,
+        status,
+        startedAt: build.startTime,
+        endedAt: build.endTime,
+        error: failed
+            ? {
+                phase: failed.phaseType,
+                code: failed.contexts?.[0]?.statusCode,
+                message: failed.contexts?.[0]?.message,
+            }
+            : undefined,
     };
 }
 /**
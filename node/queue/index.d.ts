@@ -1,3 +1,73 @@
+import { SendMessageBatchResultEntry } from "@aws-sdk/client-sqs";
+import { SQSBatchResponse, SQSEvent, SQSRecord } from "aws-lambda";
+import { ZodObject, ZodRawShape, z } from "zod";
+export { SendMessageBatchResultEntry };
 export interface QueueResources {
 }
 export declare const Queue: QueueResources;
+export interface QueueMessageOptions {
+    /**
+     * Required for FIFO queues, messages in the same group are processed in order
+     */
+    groupId?: string;
+    /**
+     * Required for FIFO queues without content-based deduplication
+     */
+    deduplicationId?: string;
+    delaySeconds?: number;
+}
+/**
+ * Create a typed message for a queue. Messages are validated before they are
+ * sent and sends in the same tick are grouped into SendMessageBatch calls.
+ *
+ * @example
+ * ```ts
+ * export const Created = createQueueMessage({
+ *   queue: "MyQueue",
+ *   schema: {
+ *     id: z.string(),
+ *   },
+ * });
+ *
+ * await Created.send({ id: "123" });
+ * ```
+ */
+export declare function createQueueMessage<Name extends keyof typeof Queue, Shape extends ZodRawShape, Message = z.infer<ZodObject<Shape>>>(props: {
+    queue: Name;
+    schema: Shape;
+}): {
+    send: (message: Message, options?: QueueMessageOptions) => Promise<SendMessageBatchResultEntry>;
+    /**
+     * Sends all the messages, each is validated before anything is sent
+     */
+    sendBatch(messages: Message[], options?: QueueMessageOptions | ((message: Message, index: number) => QueueMessageOptions)): Promise<SendMessageBatchResultEntry[]>;
+    schema: ZodObject<Shape>;
+    shape: {
+        message: Message;
+    };
+};
+type QueueMessage = {
+    schema: ZodObject<any>;
+    shape: {
+        message: any;
+    };
+};
+/**
+ * Create a handler for a queue consumer that parses and validates each
+ * record. Records that fail are reported as partial batch failures so only
+ * they are retried, this requires `reportBatchItemFailures` on the consumer.
+ * Without it Lambda treats a batch where only some records failed as
+ * processed and deletes the failed ones. A batch where every record failed
+ * throws so it's retried either way.
+ *
+ * Records of a FIFO queue are processed in order, once a record fails the
+ * remaining records of its message group are retried as well.
+ *
+ * @example
+ * ```ts
+ * export const handler = QueueHandler(Created, async (message) => {
+ *   console.log(message.id);
+ * });
+ * ```
+ */
+export declare function QueueHandler<Message extends QueueMessage>(message: Message, cb: (message: Message["shape"]["message"], record: SQSRecord) => Promise<void>): (event: SQSEvent) => Promise<SQSBatchResponse>;
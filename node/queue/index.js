@@ -1,2 +1,82 @@
 import { createProxy } from "../util/index.js";
+import { SendMessageBatchCommand, SQSClient, } from "@aws-sdk/client-sqs";
+import { z } from "zod";
+import { useLoader } from "../util/loader.js";
+import { processRecords, sendBatches } from "../util/batch.js";
 export const Queue = /* @__PURE__ */ createProxy("Queue");
+// Points to the local queues when running offline in sst dev
+const client = new SQSClient({
+    endpoint: process.env.SST_QUEUE_ENDPOINT,
+});
+/**
+ * Create a typed message for a queue. Messages are validated before they are
+ * sent and sends in the same tick are grouped into SendMessageBatch calls.
+ *
+ * @example
+ * ```ts
+ * export const Created = createQueueMessage({
+ *   queue: "MyQueue",
+ *   schema: {
+ *     id: z.string(),
+ *   },
+ * });
+ *
+ * await Created.send({ id: "123" });
+ * ```
+ */
+export function createQueueMessage(props) {
+    const schema = z.object(props.schema);
+    const send = async (message, options) => {
+        // @ts-expect-error
+        const queueUrl = Queue[props.queue].queueUrl;
+        const entry = {
+            MessageBody: JSON.stringify(schema.parse(message)),
+            MessageGroupId: options?.groupId,
+            MessageDeduplicationId: options?.deduplicationId,
+            DelaySeconds: options?.delaySeconds,
+        };
+        return useLoader(`sst.queue.send.${queueUrl}`, (input) => sendBatches(input, (entries) => client.send(new SendMessageBatchCommand({
+            QueueUrl: queueUrl,
+            Entries: entries,
+        })), `Failed to send message to the "${props.queue}" queue`))(entry);
+    };
+    return {
+        send,
+        /**
+         * Sends all the messages, each is validated before anything is sent
+         */
+        async sendBatch(messages, options) {
+            messages.forEach((message) => schema.parse(message));
+            return Promise.all(messages.map((message, index) => send(message, typeof options === "function" ? options(message, index) : options)));
+        },
+        schema,
+        shape: {
+            message: {},
+        },
+    };
+}
+/**
+ * Create a handler for a queue consumer that parses and validates each
+ * record. Records that fail are reported as partial batch failures so only
+ * they are retried, this requires `reportBatchItemFailures` on the consumer.
+ * Without it Lambda treats a batch where only some records failed as
+ * processed and deletes the failed ones. A batch where every record failed
+ * throws so it's retried either way.
+ *
+ * Records of a FIFO queue are processed in order, once a record fails the
+ * remaining records of its message group are retried as well.
+ *
+ * @example
+ * ```ts
+ * export const handler = QueueHandler(Created, async (message) => {
+ *   console.log(message.id);
+ * });
+ * ```
+ */
+export function QueueHandler(message, cb) {
+    const handle = async (record) => {
+        const parsed = message.schema.parse(JSON.parse(record.body));
+        await cb(parsed, record);
+    };
+    return (event) => processRecords(event.Records, handle);
+}
@@ -1,3 +1,102 @@
 export interface TableResources {
 }
-export declare const Table: TableResources;
+type FieldType = "string" | "number" | "binary";
+type Index = {
+    partitionKey: string;
+    sortKey?: string;
+};
+type Schema = {
+    fields: Record<string, FieldType>;
+    primaryIndex: Index;
+    indexes: Record<string, Index>;
+};
+type ValueOf<S extends Schema, F> = F extends keyof S["fields"] ? S["fields"][F] extends "number" ? number : S["fields"][F] extends "binary" ? Uint8Array : string : never;
+type KeyOf<S extends Schema, I extends Index> = {
+    [F in I["partitionKey"]]: ValueOf<S, F>;
+} & (I extends {
+    sortKey: infer K extends string;
+} ? {
+    [F in K]: ValueOf<S, F>;
+} : {});
+type SortCondition<T> = T | {
+    eq: T;
+} | {
+    lt: T;
+} | {
+    lte: T;
+} | {
+    gt: T;
+} | {
+    gte: T;
+} | {
+    between: [T, T];
+} | (T extends string ? {
+    beginsWith: T;
+} : never);
+type IndexOf<S extends Schema, I> = I extends "primary" ? S["primaryIndex"] : I extends keyof S["indexes"] ? S["indexes"][I] : never;
+type QueryKey<S extends Schema, I extends Index> = {
+    [F in I["partitionKey"]]: ValueOf<S, F>;
+} & (I extends {
+    sortKey: infer K extends string;
+} ? {
+    [F in K]?: SortCondition<ValueOf<S, F>>;
+} : {});
+type Item<S extends Schema> = KeyOf<S, S["primaryIndex"]> & {
+    [F in keyof S["fields"]]?: ValueOf<S, F>;
+} & Record<string, any>;
+/**
+ * `schema` is generated by `sst types` to type the client, it isn't available
+ * at runtime
+ */
+export type TableType = {
+    [T in keyof TableResources]: TableResources[T] extends {
+        schema: infer S extends Schema;
+    } ? Omit<TableResources[T], "schema"> & ReturnType<typeof TableControl<S>> : TableResources[T];
+};
+export declare const Table: TableType;
+declare function TableControl<S extends Schema>(name: string, tableName: string): {
+    get(key: KeyOf<S, S["primaryIndex"]>, options?: {
+        consistent?: boolean;
+    }): Promise<Item<S> | undefined>;
+    /**
+     * Writes the item, replacing the one with the same key
+     */
+    put<T extends Item<S>>(item: T): Promise<T>;
+    delete(key: KeyOf<S, S["primaryIndex"]>): Promise<void>;
+    /**
+     * Query the primary index or a secondary index by its name, the key
+     * needs the partition key and can filter on the sort key
+     *
+     * @example
+     * ```ts
+     * const { items, cursor } = await Table.Notes.query("byUser", {
+     *   userId: "123",
+     *   createdAt: { gt: Date.now() - 86400000 },
+     * });
+     * ```
+     */
+    query<I extends "primary" | (keyof S["indexes"] & string)>(index: I, key: QueryKey<S, IndexOf<S, I>>, options?: {
+        limit?: number;
+        /**
+         * The cursor returned by the previous page
+         */
+        cursor?: string;
+        /**
+         * Sorts by the sort key in descending order
+         */
+        reverse?: boolean;
+        consistent?: boolean;
+    }): Promise<{
+        items: Item<S>[];
+        cursor?: string;
+    }>;
+    /**
+     * Put and delete any number of items, they are written in chunks of 25
+     * and unprocessed items are retried
+     */
+    batchWrite(input: {
+        put?: Item<S>[];
+        delete?: KeyOf<S, S["primaryIndex"]>[];
+    }): Promise<void>;
+};
+export {};
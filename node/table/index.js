@@ -1,4 +1,182 @@
-import { createProxy } from "../util/index.js";
-export const Table = 
-/* @__PURE__ */
-createProxy("Table");
+import { createProxy, getVariables2 } from "../util/index.js";
+import { DescribeTableCommand, DynamoDBClient, } from "@aws-sdk/client-dynamodb";
+import { BatchWriteCommand, DeleteCommand, DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, } from "@aws-sdk/lib-dynamodb";
+const dynamo = new DynamoDBClient({});
+const client = DynamoDBDocumentClient.from(dynamo, {
+    marshallOptions: {
+        removeUndefinedValues: true,
+    },
+});
+// Most requests a single BatchWriteItem call accepts
+const BATCH_SIZE = 25;
+const MAX_BATCH_ATTEMPTS = 8;
+const OPERATORS = {
+    eq: "=",
+    lt: "<",
+    lte: "<=",
+    gt: ">",
+    gte: ">=",
+};
+export const Table = /* @__PURE__ */ (() => {
+    const result = createProxy("Table");
+    const vars = getVariables2("Table");
+    Object.keys(vars).forEach((name) => {
+        // @ts-expect-error
+        result[name] = {
+            ...vars[name],
+            ...TableControl(name, vars[name].tableName),
+        };
+    });
+    return result;
+})();
+// The keys are read from the table itself instead of being passed to every
+// bound function, once per container
+async function describeKeys(tableName) {
+    const { Table: table } = await dynamo.send(new DescribeTableCommand({ TableName: tableName }));
+    const toIndex = (keySchema) => ({
+        partitionKey: keySchema.find((key) => key.KeyType === "HASH")
+            .AttributeName,
+        sortKey: keySchema.find((key) => key.KeyType === "RANGE")?.AttributeName,
+    });
+    return {
+        primaryIndex: toIndex(table.KeySchema),
+        indexes: Object.fromEntries([
+            ...(table.GlobalSecondaryIndexes || []),
+            ...(table.LocalSecondaryIndexes || []),
+        ].map((index) => [index.IndexName, toIndex(index.KeySchema)])),
+    };
+}
+function TableControl(name, tableName) {
+    let keys;
+    const getKeys = () => {
+        if (!keys) {
+            keys = describeKeys(tableName).catch((e) => {
+                keys = undefined;
+                throw e;
+            });
+        }
+        return keys;
+    };
+    const pick = (item, index) => {
+        const key = {};
+        for (const field of [index.partitionKey, index.sortKey]) {
+            if (!field)
+                continue;
+            if (item[field] === undefined)
+                throw new Error(`Missing "${field}" in the key of the "${name}" Table`);
+            key[field] = item[field];
+        }
+        return key;
+    };
+    return {
+        async get(key, options) {
+            const schema = await getKeys();
+            const result = await client.send(new GetCommand({
+                TableName: tableName,
+                Key: pick(key, schema.primaryIndex),
+                ConsistentRead: options?.consistent,
+            }));
+            return result.Item;
+        },
+        async put(item) {
+            const schema = await getKeys();
+            pick(item, schema.primaryIndex);
+            await client.send(new PutCommand({
+                TableName: tableName,
+                Item: item,
+            }));
+            return item;
+        },
+        async delete(key) {
+            const schema = await getKeys();
+            await client.send(new DeleteCommand({
+                TableName: tableName,
+                Key: pick(key, schema.primaryIndex),
+            }));
+        },
+        async query(index, key, options) {
+            const schema = await getKeys();
+            const { partitionKey, sortKey } = index === "primary" ? schema.primaryIndex : schema.indexes[index] || {};
+            if (!partitionKey)
+                throw new Error(`Index "${index}" does not exist in the "${name}" Table`);
+            if (key[partitionKey] === undefined)
+                throw new Error(`Missing "${partitionKey}" in the query of the "${index}" index`);
+            const names = { "#pk": partitionKey };
+            const values = { ":pk": key[partitionKey] };
+            const conditions = ["#pk = :pk"];
+            const condition = sortKey ? key[sortKey] : undefined;
+            if (condition !== undefined) {
+                names["#sk"] = sortKey;
+                const [operator, value] = typeof condition === "object" && !(condition instanceof Uint8Array)
+                    ? Object.entries(condition)[0]
+                    : ["eq", condition];
+                if (operator === "between") {
+                    values[":sk0"] = value[0];
+                    values[":sk1"] = value[1];
+                    conditions.push("#sk BETWEEN :sk0 AND :sk1");
+                }
+                else if (operator === "beginsWith") {
+                    values[":sk"] = value;
+                    conditions.push("begins_with(#sk, :sk)");
+                }
+                else if (OPERATORS[operator]) {
+                    values[":sk"] = value;
+                    conditions.push(`#sk ${OPERATORS[operator]} :sk`);
+                }
+                else {
+                    throw new Error(`Unsupported condition "${operator}" on "${sortKey}"`);
+                }
+            }
+            const result = await client.send(new QueryCommand({
+                TableName: tableName,
+                IndexName: index === "primary" ? undefined : index,
+                KeyConditionExpression: conditions.join(" AND "),
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                Limit: options?.limit,
+                ScanIndexForward: options?.reverse ? false : undefined,
+                ConsistentRead: options?.consistent,
+                ExclusiveStartKey: options?.cursor
+                    ? JSON.parse(Buffer.from(options.cursor, "base64url").toString())
+                    : undefined,
+            }));
+            return {
+                items: result.Items || [],
+                cursor: result.LastEvaluatedKey
+                    ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString("base64url")
+                    : undefined,
+            };
+        },
+        /**
+         * Writes in chunks of 25, items DynamoDB doesn't process are retried
+         * with an exponential backoff
+         */
+        async batchWrite(input) {
+            const schema = await getKeys();
+            const requests = [
+                ...(input.put || []).map((item) => {
+                    pick(item, schema.primaryIndex);
+                    return { PutRequest: { Item: item } };
+                }),
+                ...(input.delete || []).map((key) => ({
+                    DeleteRequest: { Key: pick(key, schema.primaryIndex) },
+                })),
+            ];
+            for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+                let pending = requests.slice(i, i + BATCH_SIZE);
+                for (let attempt = 0; pending.length; attempt++) {
+                    if (attempt === MAX_BATCH_ATTEMPTS)
+                        throw new Error(`Failed to write ${pending.length} items to the "${name}" Table after ${MAX_BATCH_ATTEMPTS} attempts`);
+                    if (attempt > 0)
+                        await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt * (1 + Math.random())));
+                    const result = await client.send(new BatchWriteCommand({
+                        RequestItems: {
+                            [tableName]: pending,
+                        },
+                    }));
+                    pending = result.UnprocessedItems?.[tableName] || [];
+                }
+            }
+        },
+    };
+}
@@ -1,3 +1,85 @@
+import { PublishBatchResultEntry } from "@aws-sdk/client-sns";
+import { SNSEvent, SQSBatchResponse, SQSEvent } from "aws-lambda";
+import { ZodObject, ZodRawShape, z } from "zod";
+export { PublishBatchResultEntry };
 export interface TopicResources {
 }
 export declare const Topic: TopicResources;
+export interface TopicMessageOptions {
+    /**
+     * Sent as message attributes, subscription filter policies can match on them
+     */
+    attributes?: Record<string, string | number | string[] | Uint8Array>;
+    /**
+     * Required for FIFO topics, messages in the same group are delivered in order
+     */
+    groupId?: string;
+    /**
+     * Required for FIFO topics without content-based deduplication
+     */
+    deduplicationId?: string;
+}
+export interface TopicNotification {
+    messageId: string;
+    /**
+     * Not available for queues with raw message delivery
+     */
+    topicArn?: string;
+    body: string;
+    attributes: Record<string, string | undefined>;
+}
+/**
+ * Create a typed message for a topic. Messages are validated before they are
+ * published and publishes in the same tick are grouped into PublishBatch calls.
+ *
+ * @example
+ * ```ts
+ * export const Created = createTopicMessage({
+ *   topic: "MyTopic",
+ *   schema: {
+ *     id: z.string(),
+ *   },
+ * });
+ *
+ * await Created.publish({ id: "123" });
+ * ```
+ */
+export declare function createTopicMessage<Name extends keyof typeof Topic, Shape extends ZodRawShape, Message = z.infer<ZodObject<Shape>>>(props: {
+    topic: Name;
+    schema: Shape;
+}): {
+    publish: (message: Message, options?: TopicMessageOptions) => Promise<PublishBatchResultEntry>;
+    /**
+     * Publishes all the messages, each is validated before anything is published
+     */
+    publishBatch(messages: Message[], options?: TopicMessageOptions | ((message: Message, index: number) => TopicMessageOptions)): Promise<PublishBatchResultEntry[]>;
+    schema: ZodObject<Shape>;
+    shape: {
+        message: Message;
+    };
+};
+type TopicMessage = {
+    schema: ZodObject<any>;
+    shape: {
+        message: any;
+    };
+};
+/**
+ * Create a handler for a topic subscriber that unwraps and validates each
+ * message. Works for functions subscribed to the topic and for consumers of
+ * queues subscribed to it, with or without raw message delivery.
+ *
+ * Records from a queue that fail are reported as partial batch failures so
+ * only they are retried, this requires `reportBatchItemFailures` on the
+ * consumer. Without it Lambda treats a batch where only some records failed
+ * as processed and deletes the failed ones. A batch where every record failed
+ * throws so it's retried either way.
+ *
+ * @example
+ * ```ts
+ * export const handler = TopicHandler(Created, async (message) => {
+ *   console.log(message.id);
+ * });
+ * ```
+ */
+export declare function TopicHandler<Message extends TopicMessage>(message: Message, cb: (message: Message["shape"]["message"], notification: TopicNotification) => Promise<void>): (event: SNSEvent | SQSEvent) => Promise<SQSBatchResponse | void>;
@@ -1,4 +1,132 @@
 import { createProxy } from "../util/index.js";
+import { PublishBatchCommand, SNSClient } from "@aws-sdk/client-sns";
+import { z } from "zod";
+import { useLoader } from "../util/loader.js";
+import { processRecords, sendBatches } from "../util/batch.js";
 export const Topic = 
 /* @__PURE__ */
 createProxy("Topic");
+const client = new SNSClient({});
+/**
+ * Create a typed message for a topic. Messages are validated before they are
+ * published and publishes in the same tick are grouped into PublishBatch calls.
+ *
+ * @example
+ * ```ts
+ * export const Created = createTopicMessage({
+ *   topic: "MyTopic",
+ *   schema: {
+ *     id: z.string(),
+ *   },
+ * });
+ *
+ * await Created.publish({ id: "123" });
+ * ```
+ */
+export function createTopicMessage(props) {
+    const schema = z.object(props.schema);
+    const publish = async (message, options) => {
+        // @ts-expect-error
+        const topicArn = Topic[props.topic].topicArn;
+        const entry = {
+            Message: JSON.stringify(schema.parse(message)),
+            MessageAttributes: options?.attributes
+                ? toMessageAttributes(options.attributes)
+                : undefined,
+            MessageGroupId: options?.groupId,
+            MessageDeduplicationId: options?.deduplicationId,
+        };
+        return useLoader(`sst.topic.publish.${topicArn}`, (input) => sendBatches(input, (entries) => client.send(new PublishBatchCommand({
+            TopicArn: topicArn,
+            PublishBatchRequestEntries: entries,
+        })), `Failed to publish message to the "${props.topic}" topic`))(entry);
+    };
+    return {
+        publish,
+        /**
+         * Publishes all the messages, each is validated before anything is published
+         */
+        async publishBatch(messages, options) {
+            messages.forEach((message) => schema.parse(message));
+            return Promise.all(messages.map((message, index) => publish(message, typeof options === "function" ? options(message, index) : options)));
+        },
+        schema,
+        shape: {
+            message: {},
+        },
+    };
+}
+function toMessageAttributes(attributes) {
+    return Object.fromEntries(Object.entries(attributes).map(([key, value]) => [
+        key,
+        typeof value === "number"
+            ? { DataType: "Number", StringValue: value.toString() }
+            : Array.isArray(value)
+                ? { DataType: "String.Array", StringValue: JSON.stringify(value) }
+                : value instanceof Uint8Array
+                    ? { DataType: "Binary", BinaryValue: value }
+                    : { DataType: "String", StringValue: value },
+    ]));
+}
+/**
+ * Create a handler for a topic subscriber that unwraps and validates each
+ * message. Works for functions subscribed to the topic and for consumers of
+ * queues subscribed to it, with or without raw message delivery.
+ *
+ * Records from a queue that fail are reported as partial batch failures so
+ * only they are retried, this requires `reportBatchItemFailures` on the
+ * consumer. Without it Lambda treats a batch where only some records failed
+ * as processed and deletes the failed ones. A batch where every record failed
+ * throws so it's retried either way.
+ *
+ * @example
+ * ```ts
+ * export const handler = TopicHandler(Created, async (message) => {
+ *   console.log(message.id);
+ * });
+ * ```
+ */
+export function TopicHandler(message, cb) {
+    const handle = async (notification) => {
+        const parsed = message.schema.parse(JSON.parse(notification.body));
+        await cb(parsed, notification);
+    };
+    return async (event) => {
+        const records = event.Records || [];
+        // Subscribed functions get a single record, failures are retried by SNS
+        if (records[0]?.EventSource === "aws:sns") {
+            for (const record of records) {
+                await handle({
+                    messageId: record.Sns.MessageId,
+                    topicArn: record.Sns.TopicArn,
+                    body: record.Sns.Message,
+                    attributes: Object.fromEntries(Object.entries(record.Sns.MessageAttributes || {}).map(([key, value]) => [key, value.Value])),
+                });
+            }
+            return;
+        }
+        return processRecords(records, (record) => handle(unwrap(record)));
+    };
+}
+// Queues subscribed to a topic receive the SNS envelope unless raw message
+// delivery is enabled
+function unwrap(record) {
+    try {
+        const envelope = JSON.parse(record.body);
+        if (envelope?.Type === "Notification" && "TopicArn" in envelope) {
+            return {
+                messageId: envelope.MessageId,
+                topicArn: envelope.TopicArn,
+                body: envelope.Message,
+                attributes: Object.fromEntries(Object.entries(envelope.MessageAttributes || {}).map(([key, value]) => [key, value.Value])),
+            };
+        }
+    }
+    catch { }
+    return {
+        messageId: record.messageId,
+        topicArn: undefined,
+        body: record.body,
+        attributes: Object.fromEntries(Object.entries(record.messageAttributes || {}).map(([key, value]) => [key, value.stringValue])),
+    };
+}
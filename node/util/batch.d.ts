@@ -0,0 +1,30 @@
+import { SQSBatchResponse, SQSRecord } from "aws-lambda";
+interface BatchResultEntry {
+    Id?: string;
+}
+interface BatchErrorEntry {
+    Id?: string;
+    Code?: string;
+    Message?: string;
+}
+/**
+ * Sends entries in parallel chunks through an SQS or SNS style batch call and
+ * resolves each entry to its own result. Entries rejected by the service
+ * become errors so only their callers fail.
+ */
+export declare function sendBatches<Entry, Result extends BatchResultEntry>(input: Entry[], send: (entries: (Entry & {
+    Id: string;
+})[]) => Promise<{
+    Successful?: Result[];
+    Failed?: BatchErrorEntry[];
+}>, describe: string): Promise<(Result | Error | undefined)[]>;
+/**
+ * Runs the handler for each record of a queue event and reports the ones
+ * that failed as partial batch failures. FIFO records run one at a time and
+ * a failure fails the rest of its message group too, to keep the order.
+ *
+ * When every record fails the error is thrown instead, so the batch is
+ * retried even if the consumer doesn't report batch item failures.
+ */
+export declare function processRecords(records: SQSRecord[], handle: (record: SQSRecord) => Promise<void>): Promise<SQSBatchResponse>;
+export {};
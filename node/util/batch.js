@@ -0,0 +1,77 @@
+const BATCH_SIZE = 10;
+/**
+ * Sends entries in parallel chunks through an SQS or SNS style batch call and
+ * resolves each entry to its own result. Entries rejected by the service
+ * become errors so only their callers fail.
+ */
+export async function sendBatches(input, send, describe) {
+    const promises = [];
+    for (let i = 0; i < input.length; i += BATCH_SIZE) {
+        const chunk = input.slice(i, i + BATCH_SIZE);
+        promises.push(send(chunk.map((item, index) => ({
+            ...item,
+            Id: index.toString(),
+        }))));
+    }
+    const settled = await Promise.allSettled(promises);
+    const result = new Array(input.length);
+    for (let i = 0; i < result.length; i++) {
+        const item = settled[Math.floor(i / BATCH_SIZE)];
+        if (item.status === "rejected") {
+            result[i] = item.reason;
+            continue;
+        }
+        const id = (i % BATCH_SIZE).toString();
+        const failed = item.value.Failed?.find((entry) => entry.Id === id);
+        if (failed) {
+            result[i] = new Error(`${describe}: ${failed.Code} ${failed.Message}`);
+            continue;
+        }
+        result[i] = item.value.Successful?.find((entry) => entry.Id === id);
+    }
+    return result;
+}
+/**
+ * Runs the handler for each record of a queue event and reports the ones
+ * that failed as partial batch failures. FIFO records run one at a time and
+ * a failure fails the rest of its message group too, to keep the order.
+ *
+ * When every record fails the error is thrown instead, so the batch is
+ * retried even if the consumer doesn't report batch item failures.
+ */
+export async function processRecords(records, handle) {
+    const failures = [];
+    const errors = [];
+    const fifo = records[0]?.eventSourceARN.endsWith(".fifo");
+    const failedGroups = new Set();
+    const run = async (record) => {
+        const group = record.attributes.MessageGroupId;
+        if (fifo && failedGroups.has(group)) {
+            failures.push({ itemIdentifier: record.messageId });
+            return;
+        }
+        try {
+            await handle(record);
+        }
+        catch (ex) {
+            console.error(ex);
+            errors.push(ex);
+            failedGroups.add(group);
+            failures.push({ itemIdentifier: record.messageId });
+        }
+    };
+    if (fifo) {
+        for (const record of records) {
+            await run(record);
+        }
+    }
+    else {
+        await Promise.all(records.map(run));
+    }
+    if (records.length && failures.length === records.length) {
+        throw errors.length === 1
+            ? errors[0]
+            : new AggregateError(errors, `All ${records.length} records failed`);
+    }
+    return { batchItemFailures: failures };
+}
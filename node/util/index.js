@@ -1,3 +1,5 @@
+import fs from "fs/promises";
+import crypto from "crypto";
 import { GetParametersCommand, SSMClient, } from "@aws-sdk/client-ssm";
 const ssm = new SSMClient({ region: process.env.SST_REGION });
 // Example:
@@ -44,6 +46,8 @@ export function getVariables2(constructName) {
 }
 async function parseEnvironment() {
     const variablesFromSsm = [];
+    const variablesFromSecretsManager = [];
+    const variablesFromFile = [];
     const variablesFromSecret = [];
     Object.keys(process.env)
         .filter((name) => name.startsWith("SST_"))
@@ -59,6 +63,12 @@ async function parseEnvironment() {
         if (value === "__FETCH_FROM_SSM__") {
             variablesFromSsm.push(variable);
         }
+        else if (value === "__FETCH_FROM_SECRETS_MANAGER__") {
+            variablesFromSecretsManager.push(variable);
+        }
+        else if (value === "__FETCH_FROM_FILE__") {
+            variablesFromFile.push(variable);
+        }
         else if (value.startsWith("__FETCH_FROM_SECRET__:")) {
             variablesFromSecret.push([variable, value.split(":")[1]]);
         }
@@ -68,6 +78,9 @@ async function parseEnvironment() {
     });
     // Fetch values from SSM
     await fetchValuesFromSSM(variablesFromSsm);
+    // Fetch values from the configured secrets backend
+    await fetchValuesFromSecretsManager(variablesFromSecretsManager);
+    await fetchValuesFromFile(variablesFromFile);
     // Fetch values from Secrets
     variablesFromSecret.forEach(([variable, secretName]) => {
         const value = allVariables["Secret"]?.[secretName]?.value;
@@ -105,7 +118,72 @@ async function fetchValuesFromSSM(variablesFromSsm) {
     const missingSecrets = fallbackResults.invalidParams
         .map((name) => parseSsmFallbackPath(name))
         .filter((variable) => variable.constructName === "Secret")
-        .map((variable) => variable.constructId);
+        .map((variable) => variable.constructId)
+        .filter((id) => !isOptionalSecret(id));
+    if (missingSecrets.length > 0) {
+        throw new Error(`The following secret values are not set in the "${process.env.SST_STAGE} stage": ${missingSecrets.join(", ")}`);
+    }
+}
+async function fetchValuesFromSecretsManager(variables) {
+    if (variables.length === 0)
+        return;
+    // Only loaded when used so functions on the other backends don't pay for it
+    const { GetSecretValueCommand, SecretsManagerClient } = await import("@aws-sdk/client-secrets-manager");
+    const client = new SecretsManagerClient({ region: process.env.SST_REGION });
+    async function fetch(name) {
+        try {
+            const result = await client.send(new GetSecretValueCommand({ SecretId: name }));
+            return result.SecretString;
+        }
+        catch (e) {
+            if (e.name === "ResourceNotFoundException")
+                return;
+            throw e;
+        }
+    }
+    const missingSecrets = [];
+    await Promise.all(variables.map(async (variable) => {
+        const value = (await fetch(buildSsmPath(variable))) ??
+            (await fetch(buildSsmFallbackPath(variable)));
+        if (value === undefined) {
+            if (!isOptionalSecret(variable.constructId))
+                missingSecrets.push(variable.constructId);
+            return;
+        }
+        storeVariable(variable, value);
+    }));
+    if (missingSecrets.length > 0) {
+        throw new Error(`The following secret values are not set in the "${process.env.SST_STAGE} stage": ${missingSecrets.join(", ")}`);
+    }
+}
+async function fetchValuesFromFile(variables) {
+    if (variables.length === 0)
+        return;
+    const file = process.env.SST_SECRETS_FILE;
+    if (!file) {
+        throw new Error(`Secrets stored with the "file" backend can only be read in "sst dev"`);
+    }
+    const key = process.env.SST_SECRETS_KEY ||
+        (await fs.readFile(process.env.SST_SECRETS_KEY_FILE)).toString();
+    const { iv, tag, data } = JSON.parse((await fs.readFile(file)).toString());
+    const decipher = crypto.createDecipheriv("aes-256-gcm", Buffer.from(key, "base64"), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    const secrets = JSON.parse(Buffer.concat([
+        decipher.update(Buffer.from(data, "base64")),
+        decipher.final(),
+    ]).toString());
+    const missingSecrets = [];
+    variables.forEach((variable) => {
+        // Versions are stored oldest first
+        const versions = secrets[buildSsmPath(variable)] ||
+            secrets[buildSsmFallbackPath(variable)];
+        if (!versions?.length) {
+            if (!isOptionalSecret(variable.constructId))
+                missingSecrets.push(variable.constructId);
+            return;
+        }
+        storeVariable(variable, versions[versions.length - 1].value);
+    });
     if (missingSecrets.length > 0) {
         throw new Error(`The following secret values are not set in the "${process.env.SST_STAGE} stage": ${missingSecrets.join(", ")}`);
     }
@@ -167,6 +245,11 @@ function normalizeId(name) {
 function ssmPrefix() {
     return process.env.SST_SSM_PREFIX || "";
 }
+// Secrets with a schema are bound along with how to read them
+function isOptionalSecret(id) {
+    const schema = allVariables["Secret"]?.[id]?.schema;
+    return schema ? JSON.parse(schema).optional : false;
+}
 function storeVariable(variable, value) {
     const { constructId: id, constructName: c, propName: prop } = variable;
     allVariables[c] = allVariables[c] || {};
@@ -1,5 +1,6 @@
 import { Metafile } from "esbuild";
 import type { App } from "./constructs/App.js";
+import type { SecretBackendName } from "./secrets.js";
 export interface SSTConfig {
     config: (globals: GlobalOptions) => Promise<ConfigOptions> | ConfigOptions;
     stacks: (app: App) => Promise<void> | void;
@@ -16,6 +17,31 @@ export interface ConfigOptions {
         disableParameterizedStackNameCheck?: boolean;
         disableAppModeCheck?: boolean;
     };
+    /**
+     * How `sst dev` talks to the functions deployed in live mode. Defaults to
+     * AWS IoT Core, use "websocket" or "redis" with a `url` for accounts
+     * without IoT Core permissions. The deployed functions connect to the
+     * same `url` so it needs to be reachable from AWS.
+     */
+    bridge?: {
+        transport?: "iot" | "websocket" | "redis";
+        url?: string;
+    };
+    /**
+     * Where the values of `Config.Secret` are stored. Defaults to SSM
+     * Parameter Store, use "secrets-manager" for rotation support or "file"
+     * for an encrypted local file when developing offline. Return a
+     * different backend per stage from `config()` to mix them.
+     */
+    secrets?: {
+        backend?: SecretBackendName;
+        /**
+         * Path of the encrypted file used by the "file" backend, relative to
+         * the project root. Defaults to `.sst/secrets.enc`. The key is stored
+         * in `~/.sst/secrets` or read from `SST_SECRETS_KEY`.
+         */
+        file?: string;
+    };
     bootstrap?: {
         useCdkBucket?: boolean;
         stackName?: string;
@@ -58,6 +84,14 @@ interface Project {
     stacks: SSTConfig["stacks"];
 }
 export declare function useProject(): Project;
+/**
+ * Runs the `config` function of sst.config for another stage of the app,
+ * ie. to find the ssmPrefix it uses
+ */
+export declare function loadStageConfig(stage: string): Promise<ConfigOptions & {
+    stage: string;
+    ssmPrefix: string;
+}>;
 interface GlobalOptions {
     profile?: string;
     role?: string;
@@ -13,11 +13,29 @@ const DEFAULTS = {
     ssmPrefix: undefined,
 };
 let project;
+let configure;
 export function useProject() {
     if (!project)
         throw new Error("Project not initialized");
     return project;
 }
+/**
+ * Runs the `config` function of sst.config for another stage of the app,
+ * ie. to find the ssmPrefix it uses
+ */
+export async function loadStageConfig(stage) {
+    if (!configure)
+        throw new Error("Project not initialized");
+    const config = await configure(stage);
+    return {
+        ...config,
+        stage,
+        ssmPrefix: config.ssmPrefix || defaultSSMPrefix(config.name, stage),
+    };
+}
+function defaultSSMPrefix(name, stage) {
+    return `/sst/${name}/${stage}/`;
+}
 const CONFIG_EXTENSIONS = [
     ".config.ts",
     ".config.mts",
@@ -47,6 +65,7 @@ export async function initProject(globals) {
         }
         throw new VisibleError("Could not found a configuration file", "Make sure one of the following exists", ...CONFIG_EXTENSIONS.map((x) => `  - sst${x}`));
     })();
+    configure = (stage) => Promise.resolve(sstConfig.config({ ...globals, stage }));
     const config = await Promise.resolve(sstConfig.config(globals));
     const stage = process.env.SST_STAGE ||
         globals.stage ||
@@ -86,7 +105,7 @@ export async function initProject(globals) {
                 : globals.profile || config.profile,
             region: globals.region || config.region,
             role: globals.role || config.role,
-            ssmPrefix: config.ssmPrefix || `/sst/${config.name}/${stage}/`,
+            ssmPrefix: config.ssmPrefix || defaultSSMPrefix(config.name, stage),
             bootstrap: config.bootstrap,
             cdk: config.cdk,
         },
@@ -0,0 +1,16 @@
+declare module "../bus.js" {
+    interface Events {
+        "api.emulator.started": {
+            id: string;
+            addr: string;
+            url: string;
+        };
+    }
+}
+export declare const useApiEmulator: () => Promise<{
+    readonly all: {
+        id: string;
+        addr: string;
+        url: string;
+    }[];
+}>;
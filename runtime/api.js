@@ -0,0 +1,270 @@
+import http from "http";
+import crypto from "crypto";
+import getPort from "get-port";
+import { useBus } from "../bus.js";
+import { Logger } from "../logger.js";
+import { useConstructMetadata } from "../constructs/App.js";
+import { useFunctionInvoker } from "./invoke.js";
+import { lazy } from "../util/lazy.js";
+const TEXT_CONTENT_TYPES = [
+    /^text\//,
+    /^application\/(json|xml|javascript|x-www-form-urlencoded|graphql)/,
+    /\+(json|xml)/,
+];
+export const useApiEmulator = lazy(async () => {
+    const bus = useBus();
+    const invoker = useFunctionInvoker();
+    const apis = new Map();
+    async function sync(metadata) {
+        for (const api of metadata) {
+            if (api.type !== "Api")
+                continue;
+            const existing = apis.get(api.addr);
+            if (existing) {
+                existing.metadata = api;
+                continue;
+            }
+            const port = await getPort({
+                port: 12558 + apis.size,
+            });
+            const entry = {
+                metadata: api,
+                port,
+                url: `http://localhost:${port}`,
+            };
+            apis.set(api.addr, entry);
+            http
+                .createServer((req, res) => handle(entry, req, res).catch((ex) => {
+                Logger.debug("Api emulator failed to handle request", ex);
+                // The response was already started, it can only be cut off
+                if (res.headersSent)
+                    return res.destroy();
+                // Malformed percent encoding in the path
+                if (ex instanceof URIError)
+                    return respond(res, 400, { message: "Bad Request" });
+                respond(res, 500, { message: "Internal Server Error" });
+            }))
+                .listen(port);
+            Logger.debug("Started api emulator", api.id, entry.url);
+            bus.publish("api.emulator.started", {
+                id: api.id,
+                addr: api.addr,
+                url: entry.url,
+            });
+        }
+    }
+    async function handle(entry, req, res) {
+        const url = new URL(req.url, entry.url);
+        const method = req.method.toUpperCase();
+        const route = matchRoute(entry.metadata.data.routes, method, url.pathname);
+        if (!route) {
+            if (method === "OPTIONS") {
+                res.writeHead(204, {
+                    "access-control-allow-origin": req.headers.origin || "*",
+                    "access-control-allow-methods": "*",
+                    "access-control-allow-headers": req.headers["access-control-request-headers"] || "*",
+                });
+                res.end();
+                return;
+            }
+            return respond(res, 404, { message: "Not Found" });
+        }
+        if (!route.fn) {
+            return respond(res, 501, {
+                message: `Route "${route.route}" of type "${route.type}" is not supported locally`,
+            });
+        }
+        const body = await new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on("data", (chunk) => chunks.push(chunk));
+            req.on("end", () => resolve(Buffer.concat(chunks)));
+            req.on("error", reject);
+        });
+        const event = createEvent(entry, req, url, route, body);
+        const result = await invoker.invoke({
+            functionID: route.fn.node,
+            event,
+        });
+        if (result.type === "error")
+            return respond(res, 500, { message: "Internal Server Error" });
+        writeResult(res, result.body);
+    }
+    bus.subscribe("stacks.synthesized", (evt) => sync(evt.properties.metadata));
+    await sync(useConstructMetadata().all);
+    return {
+        get all() {
+            return [...apis.values()].map((entry) => ({
+                id: entry.metadata.id,
+                addr: entry.metadata.addr,
+                url: entry.url,
+            }));
+        },
+    };
+});
+/**
+ * Picks the most specific route the same way API Gateway does, static
+ * segments win over path variables which win over greedy variables
+ */
+function matchRoute(routes, method, path) {
+    const segments = path.split("/").filter(Boolean);
+    let best;
+    for (const route of routes) {
+        if (route.route === "$default")
+            continue;
+        const [routeMethod, routePath] = route.route.split(" ");
+        if (routeMethod !== "ANY" && routeMethod !== method)
+            continue;
+        const params = matchPath(routePath, segments);
+        if (!params)
+            continue;
+        const parts = routePath.split("/").filter(Boolean);
+        const greedy = parts.some((part) => part.endsWith("+}"));
+        const score = [
+            greedy ? 0 : 1,
+            parts.filter((part) => !part.startsWith("{")).length,
+            parts.length,
+            routeMethod === "ANY" ? 0 : 1,
+        ];
+        if (best && compareScores(best.score, score) >= 0)
+            continue;
+        best = { route, params, score };
+    }
+    if (best) {
+        return {
+            ...best.route,
+            pathParameters: Object.keys(best.params).length
+                ? best.params
+                : undefined,
+        };
+    }
+    const fallback = routes.find((route) => route.route === "$default");
+    if (fallback)
+        return fallback;
+}
+function matchPath(routePath, segments) {
+    const parts = routePath.split("/").filter(Boolean);
+    const params = {};
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        if (part.startsWith("{") && part.endsWith("+}")) {
+            if (i >= segments.length)
+                return;
+            params[part.slice(1, -2)] = segments
+                .slice(i)
+                .map(decodeURIComponent)
+                .join("/");
+            return params;
+        }
+        const segment = segments[i];
+        if (segment === undefined)
+            return;
+        if (part.startsWith("{") && part.endsWith("}")) {
+            params[part.slice(1, -1)] = decodeURIComponent(segment);
+            continue;
+        }
+        if (part !== segment)
+            return;
+    }
+    if (parts.length !== segments.length)
+        return;
+    return params;
+}
+function compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i])
+            return a[i] - b[i];
+    }
+    return 0;
+}
+function createEvent(entry, req, url, route, body) {
+    const headers = {};
+    let cookies;
+    for (const [key, value] of Object.entries(req.headers)) {
+        if (value === undefined)
+            continue;
+        if (key === "cookie") {
+            cookies = (Array.isArray(value) ? value : [value])
+                .flatMap((item) => item.split(";"))
+                .map((item) => item.trim())
+                .filter(Boolean);
+            continue;
+        }
+        headers[key] = Array.isArray(value) ? value.join(",") : value;
+    }
+    const queryStringParameters = {};
+    for (const [key, value] of url.searchParams) {
+        queryStringParameters[key] =
+            key in queryStringParameters
+                ? `${queryStringParameters[key]},${value}`
+                : value;
+    }
+    const isText = TEXT_CONTENT_TYPES.some((type) => type.test(headers["content-type"] || ""));
+    const now = new Date();
+    return {
+        version: "2.0",
+        routeKey: route.route,
+        rawPath: url.pathname,
+        rawQueryString: url.search.substring(1),
+        cookies,
+        headers,
+        queryStringParameters: Object.keys(queryStringParameters).length
+            ? queryStringParameters
+            : undefined,
+        requestContext: {
+            accountId: "anonymous",
+            apiId: entry.metadata.data.httpApiId,
+            domainName: url.host,
+            domainPrefix: url.hostname.split(".")[0],
+            http: {
+                method: req.method.toUpperCase(),
+                path: url.pathname,
+                protocol: `HTTP/${req.httpVersion}`,
+                sourceIp: req.socket.remoteAddress,
+                userAgent: headers["user-agent"],
+            },
+            requestId: crypto.randomUUID(),
+            routeKey: route.route,
+            stage: "$default",
+            time: now.toISOString(),
+            timeEpoch: now.getTime(),
+        },
+        pathParameters: route.pathParameters,
+        body: body.length
+            ? isText
+                ? body.toString()
+                : body.toString("base64")
+            : undefined,
+        isBase64Encoded: body.length > 0 && !isText,
+    };
+}
+/**
+ * Applies the payload format 2.0 response rules, anything without a
+ * statusCode is treated as a JSON body
+ */
+function writeResult(res, result) {
+    if (!result || typeof result !== "object" || !("statusCode" in result)) {
+        return respond(res, 200, result);
+    }
+    const headers = {
+        ...Object.fromEntries(Object.entries(result.headers || {}).map(([key, value]) => [
+            key.toLowerCase(),
+            String(value),
+        ])),
+    };
+    if (result.cookies?.length)
+        headers["set-cookie"] = result.cookies;
+    res.writeHead(result.statusCode, headers);
+    if (result.body === undefined || result.body === null)
+        return res.end();
+    res.end(result.isBase64Encoded
+        ? Buffer.from(result.body, "base64")
+        : typeof result.body === "string"
+            ? result.body
+            : JSON.stringify(result.body));
+}
+function respond(res, status, body) {
+    res.writeHead(status, {
+        "content-type": "application/json",
+    });
+    res.end(typeof body === "string" ? body : JSON.stringify(body ?? null));
+}
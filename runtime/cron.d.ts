@@ -0,0 +1,29 @@
+import type { InvokeResult } from "./invoke.js";
+declare module "../bus.js" {
+    interface Events {
+        "cron.triggered": {
+            id: string;
+            functionID: string;
+        };
+    }
+}
+/**
+ * Runs the jobs of Cron constructs locally, either on their schedule once
+ * started or on demand with `sst cron trigger`
+ */
+export declare const useCronJobs: () => {
+    /**
+     * Invokes each enabled job on its schedule
+     */
+    start(): void;
+    /**
+     * Invokes the job of a Cron right away
+     */
+    trigger(id: string): Promise<InvokeResult>;
+    readonly all: {
+        id: string;
+        schedule: string | undefined;
+        enabled: boolean;
+        next: number | undefined;
+    }[];
+};
@@ -0,0 +1,111 @@
+import { useBus } from "../bus.js";
+import { Logger } from "../logger.js";
+import { VisibleError } from "../error.js";
+import { useConstructMetadata } from "../constructs/App.js";
+import { parseSchedule } from "../util/schedule.js";
+import { useFunctionInvoker } from "./invoke.js";
+import { useEventFixtures } from "./fixtures.js";
+import { lazy } from "../util/lazy.js";
+// Longest delay setTimeout supports
+const MAX_DELAY = 2 ** 31 - 1;
+/**
+ * Runs the jobs of Cron constructs locally, either on their schedule once
+ * started or on demand with `sst cron trigger`
+ */
+export const useCronJobs = lazy(() => {
+    const bus = useBus();
+    const invoker = useFunctionInvoker();
+    const jobs = new Map();
+    let started = false;
+    function sync(metadata) {
+        for (const item of metadata) {
+            if (item.type !== "Cron")
+                continue;
+            const existing = jobs.get(item.addr);
+            if (existing?.metadata.data.schedule === item.data.schedule &&
+                existing.metadata.data.enabled === item.data.enabled) {
+                existing.metadata = item;
+                continue;
+            }
+            clearTimeout(existing?.timer);
+            const entry = { metadata: item };
+            jobs.set(item.addr, entry);
+            if (started)
+                plan(entry, new Date());
+        }
+    }
+    function plan(entry, from) {
+        const { schedule, enabled, job } = entry.metadata.data;
+        if (!schedule || !enabled || !job)
+            return;
+        let next;
+        try {
+            next = parseSchedule(schedule).next(from);
+        }
+        catch (ex) {
+            Logger.debug("Skipping cron", entry.metadata.id, ex);
+            return;
+        }
+        if (!next)
+            return;
+        entry.next = next;
+        const wait = () => {
+            const delay = next.getTime() - Date.now();
+            if (delay > MAX_DELAY) {
+                entry.timer = setTimeout(wait, MAX_DELAY);
+                return;
+            }
+            entry.timer = setTimeout(() => {
+                plan(entry, next);
+                run(entry).catch((ex) => Logger.debug("Cron", entry.metadata.id, "failed", ex));
+            }, Math.max(delay, 0));
+        };
+        wait();
+    }
+    async function run(entry) {
+        const functionID = entry.metadata.data.job.node;
+        bus.publish("cron.triggered", {
+            id: entry.metadata.id,
+            functionID,
+        });
+        const event = await useEventFixtures().create({
+            functionID,
+            type: "cron",
+        });
+        return invoker.invoke({ functionID, event });
+    }
+    bus.subscribe("stacks.synthesized", (evt) => sync(evt.properties.metadata));
+    sync(useConstructMetadata().all);
+    return {
+        /**
+         * Invokes each enabled job on its schedule
+         */
+        start() {
+            if (started)
+                return;
+            started = true;
+            for (const entry of jobs.values()) {
+                plan(entry, new Date());
+            }
+        },
+        /**
+         * Invokes the job of a Cron right away
+         */
+        async trigger(id) {
+            const entry = [...jobs.values()].find((entry) => entry.metadata.id === id || entry.metadata.addr === id);
+            if (!entry)
+                throw new VisibleError(`Cron "${id}" not found`);
+            if (!entry.metadata.data.job)
+                throw new VisibleError(`Cron "${id}" does not have a job that can be run locally`);
+            return run(entry);
+        },
+        get all() {
+            return [...jobs.values()].map((entry) => ({
+                id: entry.metadata.id,
+                schedule: entry.metadata.data.schedule,
+                enabled: entry.metadata.data.enabled,
+                next: entry.next?.getTime(),
+            }));
+        },
+    };
+});
@@ -0,0 +1,44 @@
+declare module "../bus.js" {
+    interface Events {
+        "eventbus.emulator.started": {
+            url: string;
+        };
+        "eventbus.emulator.retrying": {
+            functionID: string;
+            eventID: string;
+            attempts: number;
+            delay: number;
+        };
+        "eventbus.emulator.failed": {
+            functionID: string;
+            eventID: string;
+            attempts: number;
+        };
+    }
+}
+interface PutEventsEntry {
+    EventBusName?: string;
+    Source?: string;
+    DetailType?: string;
+    Detail?: string;
+    Resources?: string[];
+    Time?: string | number;
+}
+type PutEventsResultEntry = {
+    EventId: string;
+} | {
+    ErrorCode: string;
+    ErrorMessage: string;
+};
+/**
+ * Routes events sent with the EventBridge PutEvents API to the targets of
+ * the rules they match, without sending anything to AWS
+ */
+export declare const useEventBusEmulator: () => Promise<{
+    url: string;
+    /**
+     * Sends entries in the shape of the PutEvents API to the matching rules
+     */
+    put(entries: PutEventsEntry[]): PutEventsResultEntry[];
+}>;
+export {};
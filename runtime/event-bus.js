@@ -0,0 +1,154 @@
+import http from "http";
+import crypto from "crypto";
+import getPort from "get-port";
+import { useBus } from "../bus.js";
+import { Logger } from "../logger.js";
+import { useProject } from "../project.js";
+import { Config } from "../config.js";
+import { useConstructMetadata } from "../constructs/App.js";
+import { matchEventPattern } from "../util/event-pattern.js";
+import { useFunctionInvoker } from "./invoke.js";
+import { lazy } from "../util/lazy.js";
+const ACCOUNT = "000000000000";
+// Same backoff as the event-bus-retrier function
+const MAX_RETRY_DELAY = 900;
+/**
+ * Routes events sent with the EventBridge PutEvents API to the targets of
+ * the rules they match, without sending anything to AWS
+ */
+export const useEventBusEmulator = lazy(async () => {
+    const bus = useBus();
+    const project = useProject();
+    const invoker = useFunctionInvoker();
+    const buses = new Map();
+    const region = project.config.region || "us-east-1";
+    const port = await getPort({
+        port: 12580,
+    });
+    const url = `http://localhost:${port}`;
+    function sync(metadata) {
+        for (const item of metadata) {
+            if (item.type !== "EventBus")
+                continue;
+            const name = `${project.config.stage}-${project.config.name}-${item.id}`;
+            if (!buses.has(item.addr)) {
+                invoker.setEnvironment({
+                    [Config.envFor({ type: "EventBus", id: item.id, prop: "eventBusName" })]: name,
+                });
+            }
+            buses.set(item.addr, { metadata: item, name });
+        }
+    }
+    // Accepts the name or the ARN of the bus
+    function find(eventBusName) {
+        const name = String(eventBusName || "default").split("/").pop();
+        return [...buses.values()].find((entry) => [entry.name, entry.metadata.id, entry.metadata.data.eventBusName].includes(name));
+    }
+    async function deliver(functionID, event, retries) {
+        const result = await invoker.invoke({ functionID, event });
+        if (result.type !== "error" || !retries)
+            return;
+        const attempts = (event.attempts || 0) + 1;
+        if (attempts > retries) {
+            Logger.debug("Giving up on", event.id, "for", functionID, "after", retries, "retries");
+            bus.publish("eventbus.emulator.failed", {
+                functionID,
+                eventID: event.id,
+                attempts,
+            });
+            return;
+        }
+        const delay = Math.min(2 ** attempts, MAX_RETRY_DELAY);
+        bus.publish("eventbus.emulator.retrying", {
+            functionID,
+            eventID: event.id,
+            attempts,
+            delay,
+        });
+        setTimeout(() => deliver(functionID, { ...event, attempts }, retries).catch((ex) => Logger.debug("Failed to retry", event.id, ex)), delay * 1000);
+    }
+    /**
+     * Sends entries in the shape of the PutEvents API to the matching rules
+     */
+    function put(entries) {
+        return entries.map((input) => {
+            const target = find(input.EventBusName);
+            if (!target) {
+                return {
+                    ErrorCode: "ResourceNotFoundException",
+                    ErrorMessage: `Event bus ${input.EventBusName || "default"} does not exist.`,
+                };
+            }
+            let detail;
+            try {
+                detail = JSON.parse(input.Detail || "{}");
+            }
+            catch {
+                return {
+                    ErrorCode: "MalformedDetail",
+                    ErrorMessage: "Detail is malformed.",
+                };
+            }
+            const event = {
+                version: "0",
+                id: crypto.randomUUID(),
+                "detail-type": input.DetailType,
+                source: input.Source,
+                account: ACCOUNT,
+                time: new Date(input.Time || Date.now()).toISOString().replace(/\.\d+Z$/, "Z"),
+                region,
+                resources: input.Resources || [],
+                detail,
+            };
+            for (const rule of target.metadata.data.rules) {
+                if (!rule.pattern || !matchEventPattern(rule.pattern, event))
+                    continue;
+                Logger.debug("Event", event.id, "matched rule", rule.key);
+                for (const fn of rule.targets) {
+                    deliver(fn.node, event, rule.retries).catch((ex) => Logger.debug("Failed to deliver", event.id, ex));
+                }
+            }
+            return { EventId: event.id };
+        });
+    }
+    async function handle(req, res) {
+        const body = await new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on("data", (chunk) => chunks.push(chunk));
+            req.on("end", () => resolve(Buffer.concat(chunks).toString()));
+            req.on("error", reject);
+        });
+        const action = String(req.headers["x-amz-target"] || "").replace("AWSEvents.", "");
+        res.setHeader("content-type", "application/x-amz-json-1.1");
+        if (action !== "PutEvents") {
+            res.writeHead(400);
+            res.end(JSON.stringify({
+                __type: "UnknownOperationException",
+                message: `The action ${action} is not supported locally.`,
+            }));
+            return;
+        }
+        const entries = put(JSON.parse(body || "{}").Entries || []);
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            FailedEntryCount: entries.filter((entry) => entry.ErrorCode).length,
+            Entries: entries,
+        }));
+    }
+    http
+        .createServer((req, res) => handle(req, res).catch((ex) => {
+        Logger.debug("Event bus emulator failed to handle request", ex);
+        res.writeHead(500);
+        res.end();
+    }))
+        .listen(port);
+    invoker.setEnvironment({ SST_EVENT_BUS_ENDPOINT: url });
+    bus.subscribe("stacks.synthesized", (evt) => sync(evt.properties.metadata));
+    sync(useConstructMetadata().all);
+    Logger.debug("Started event bus emulator", url);
+    bus.publish("eventbus.emulator.started", { url });
+    return {
+        url,
+        put,
+    };
+});
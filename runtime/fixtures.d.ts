@@ -0,0 +1,13 @@
+export declare const FIXTURE_TYPES: readonly ["sqs", "s3", "dynamodb", "eventbridge", "apigw", "cron"];
+export type FixtureType = (typeof FIXTURE_TYPES)[number];
+/**
+ * Builds sample events for a function from the constructs that trigger it.
+ * Deployed metadata is preferred when available since the local metadata
+ * only has placeholders for generated names.
+ */
+export declare const useEventFixtures: () => {
+    create(input: {
+        functionID: string;
+        type?: FixtureType;
+    }): Promise<any>;
+};
@@ -0,0 +1,270 @@
+import crypto from "crypto";
+import { useBus } from "../bus.js";
+import { useProject } from "../project.js";
+import { useCache } from "../cache.js";
+import { useConstructMetadata } from "../constructs/App.js";
+import { VisibleError } from "../error.js";
+import { lazy } from "../util/lazy.js";
+const ACCOUNT = "000000000000";
+export const FIXTURE_TYPES = [
+    "sqs",
+    "s3",
+    "dynamodb",
+    "eventbridge",
+    "apigw",
+    "cron",
+];
+/**
+ * Builds sample events for a function from the constructs that trigger it.
+ * Deployed metadata is preferred when available since the local metadata
+ * only has placeholders for generated names.
+ */
+export const useEventFixtures = lazy(() => {
+    const bus = useBus();
+    let deployed;
+    bus.subscribe("stacks.metadata", (evt) => {
+        deployed = Object.values(evt.properties).flat();
+    });
+    // Outside of sst dev the metadata of the last deploy might be cached
+    async function cached() {
+        const cache = await useCache();
+        const data = await cache.read("metadata.json");
+        if (!data)
+            return;
+        return Object.values(JSON.parse(data)).flat();
+    }
+    return {
+        async create(input) {
+            const project = useProject();
+            const metadata = deployed || (await cached()) || useConstructMetadata().all;
+            const source = findSource(metadata, input.functionID, input.type);
+            const type = input.type || source?.type;
+            if (!type)
+                return {};
+            const builder = BUILDERS[type];
+            if (!builder)
+                throw new VisibleError(`Unknown event type "${type}", use one of ${FIXTURE_TYPES.join(", ")}`);
+            return builder({
+                region: project.config.region || "us-east-1",
+                construct: source?.construct,
+                name: source?.name,
+            });
+        },
+    };
+});
+/**
+ * Finds the construct that invokes the function, filtered by event type
+ */
+function findSource(metadata, functionID, type) {
+    const sources = metadata.flatMap((c) => {
+        switch (c.type) {
+            case "Queue":
+                return c.data.consumer?.node === functionID
+                    ? [{ type: "sqs", construct: c }]
+                    : [];
+            case "Bucket":
+                return c.data.notifications
+                    .map((fn, index) => fn?.node === functionID && {
+                    type: "s3",
+                    construct: c,
+                    name: c.data.notificationNames[index],
+                })
+                    .filter(Boolean);
+            case "Table":
+                return c.data.consumers
+                    .filter((item) => item.fn?.node === functionID)
+                    .map((item) => ({ type: "dynamodb", construct: c, name: item.name }));
+            case "EventBus":
+                return c.data.rules
+                    .filter((rule) => rule.targets.some((fn) => fn?.node === functionID))
+                    .map((rule) => ({ type: "eventbridge", construct: c, name: rule.key }));
+            case "Api":
+                return c.data.routes
+                    .filter((route) => route.fn?.node === functionID)
+                    .map((route) => ({ type: "apigw", construct: c, name: route.route }));
+            case "Cron":
+                return c.data.job?.node === functionID
+                    ? [{ type: "cron", construct: c }]
+                    : [];
+        }
+        return [];
+    });
+    const match = sources.find((source) => !type || source.type === type);
+    if (match || !type)
+        return match;
+    // Still use a construct of the requested type for names when the
+    // function is not one of its targets
+    const construct = metadata.find((c) => c.type === CONSTRUCT_TYPES[type]);
+    return construct && { type, construct };
+}
+const CONSTRUCT_TYPES = {
+    sqs: "Queue",
+    s3: "Bucket",
+    dynamodb: "Table",
+    eventbridge: "EventBus",
+    apigw: "Api",
+    cron: "Cron",
+};
+// Names generated by CloudFormation are tokens until deployed
+function resolved(value, fallback) {
+    if (typeof value !== "string" || value.includes("${Token["))
+        return fallback;
+    return value;
+}
+const BUILDERS = {
+    sqs({ region, construct }) {
+        const name = resolved(construct?.data.name, construct?.id || "Queue");
+        const body = "{}";
+        return {
+            Records: [
+                {
+                    messageId: crypto.randomUUID(),
+                    receiptHandle: crypto.randomBytes(32).toString("base64"),
+                    body,
+                    attributes: {
+                        ApproximateReceiveCount: "1",
+                        SentTimestamp: String(Date.now()),
+                        SenderId: ACCOUNT,
+                        ApproximateFirstReceiveTimestamp: String(Date.now()),
+                    },
+                    messageAttributes: {},
+                    md5OfBody: crypto.createHash("md5").update(body).digest("hex"),
+                    eventSource: "aws:sqs",
+                    eventSourceARN: resolved(construct?.data.arn, `arn:aws:sqs:${region}:${ACCOUNT}:${name}`),
+                    awsRegion: region,
+                },
+            ],
+        };
+    },
+    s3({ region, construct, name }) {
+        const bucket = resolved(construct?.data.name, (construct?.id || "bucket").toLowerCase());
+        return {
+            Records: [
+                {
+                    eventVersion: "2.1",
+                    eventSource: "aws:s3",
+                    awsRegion: region,
+                    eventTime: new Date().toISOString(),
+                    eventName: "ObjectCreated:Put",
+                    userIdentity: { principalId: ACCOUNT },
+                    requestParameters: { sourceIPAddress: "127.0.0.1" },
+                    responseElements: {
+                        "x-amz-request-id": crypto.randomBytes(8).toString("hex"),
+                        "x-amz-id-2": crypto.randomBytes(32).toString("base64"),
+                    },
+                    s3: {
+                        s3SchemaVersion: "1.0",
+                        configurationId: name || "notification",
+                        bucket: {
+                            name: bucket,
+                            ownerIdentity: { principalId: ACCOUNT },
+                            arn: `arn:aws:s3:::${bucket}`,
+                        },
+                        object: {
+                            key: "example.txt",
+                            size: 1024,
+                            eTag: crypto.randomBytes(16).toString("hex"),
+                            sequencer: Date.now().toString(16).toUpperCase(),
+                        },
+                    },
+                },
+            ],
+        };
+    },
+    dynamodb({ region, construct }) {
+        const table = resolved(construct?.data.tableName, construct?.id || "Table");
+        const now = new Date();
+        return {
+            Records: [
+                {
+                    eventID: crypto.randomBytes(16).toString("hex"),
+                    eventName: "INSERT",
+                    eventVersion: "1.1",
+                    eventSource: "aws:dynamodb",
+                    awsRegion: region,
+                    dynamodb: {
+                        ApproximateCreationDateTime: Math.floor(now.getTime() / 1000),
+                        Keys: { id: { S: "1" } },
+                        NewImage: { id: { S: "1" } },
+                        SequenceNumber: String(now.getTime()),
+                        SizeBytes: 26,
+                        StreamViewType: "NEW_AND_OLD_IMAGES",
+                    },
+                    eventSourceARN: resolved(construct?.data.streamArn, `arn:aws:dynamodb:${region}:${ACCOUNT}:table/${table}/stream/${now.toISOString()}`),
+                },
+            ],
+        };
+    },
+    eventbridge({ region, construct, name }) {
+        const bus = resolved(construct?.data.eventBusName, construct?.id || "default");
+        return {
+            version: "0",
+            id: crypto.randomUUID(),
+            "detail-type": name || "Example",
+            source: "sst.invoke",
+            account: ACCOUNT,
+            time: new Date().toISOString(),
+            region,
+            resources: [`arn:aws:events:${region}:${ACCOUNT}:event-bus/${bus}`],
+            detail: {},
+        };
+    },
+    apigw({ region, construct, name }) {
+        const apiId = resolved(construct?.data.httpApiId, "local");
+        const routeKey = name && name !== "$default" ? name : "GET /";
+        const [method, route] = routeKey.split(" ");
+        const path = route
+            .replace(/\{[^}]+\+\}/g, "example/path")
+            .replace(/\{[^}]+\}/g, "example");
+        const params = Object.fromEntries([...route.matchAll(/\{([^}+]+)(\+)?\}/g)].map(([_, key, greedy]) => [
+            key,
+            greedy ? "example/path" : "example",
+        ]));
+        const now = new Date();
+        return {
+            version: "2.0",
+            routeKey: name || "$default",
+            rawPath: path,
+            rawQueryString: "",
+            headers: {
+                "content-type": "application/json",
+                host: `${apiId}.execute-api.${region}.amazonaws.com`,
+                "user-agent": "sst-invoke",
+            },
+            requestContext: {
+                accountId: ACCOUNT,
+                apiId,
+                domainName: `${apiId}.execute-api.${region}.amazonaws.com`,
+                domainPrefix: apiId,
+                http: {
+                    method: method === "ANY" ? "GET" : method,
+                    path,
+                    protocol: "HTTP/1.1",
+                    sourceIp: "127.0.0.1",
+                    userAgent: "sst-invoke",
+                },
+                requestId: crypto.randomUUID(),
+                routeKey: name || "$default",
+                stage: "$default",
+                time: now.toISOString(),
+                timeEpoch: now.getTime(),
+            },
+            pathParameters: Object.keys(params).length ? params : undefined,
+            isBase64Encoded: false,
+        };
+    },
+    cron({ region, construct }) {
+        const rule = resolved(construct?.data.ruleName, construct?.id || "Cron");
+        return {
+            version: "0",
+            id: crypto.randomUUID(),
+            "detail-type": "Scheduled Event",
+            source: "aws.events",
+            account: ACCOUNT,
+            time: new Date().toISOString(),
+            region,
+            resources: [`arn:aws:events:${region}:${ACCOUNT}:rule/${rule}`],
+            detail: {},
+        };
+    },
+};
@@ -27,6 +27,10 @@ export interface StartWorkerInput {
     out: string;
     handler: string;
     runtime: string;
+    memorySize: number;
+    inspect?: {
+        port: number;
+    };
 }
 interface ShouldBuildInput {
     file: string;
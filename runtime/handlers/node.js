@@ -41,6 +41,9 @@ export const useNodeHandler = () => {
                         IS_LOCAL: "true",
                     },
                     execArgv: ["--enable-source-maps"],
+                    resourceLimits: {
+                        maxOldGenerationSizeMb: input.memorySize,
+                    },
                     workerData: input,
                     stderr: true,
                     stdin: true,
@@ -52,6 +55,15 @@ export const useNodeHandler = () => {
                 worker.stderr.on("data", (data) => {
                     workers.stdout(input.workerID, data.toString());
                 });
+                worker.on("message", (message) => {
+                    if (message?.type === "inspector")
+                        workers.inspector(input.workerID, message.url);
+                });
+                worker.on("error", (err) => {
+                    if (err.code === "ERR_WORKER_OUT_OF_MEMORY")
+                        workers.outOfMemory(input.workerID);
+                    Logger.debug("Worker", input.workerID, "errored", err);
+                });
                 worker.on("exit", () => workers.exited(input.workerID));
                 threads.set(input.workerID, worker);
             });
@@ -54,7 +54,7 @@ export const usePythonHandler = () => {
                     ...process.env,
                     ...input.environment,
                     IS_LOCAL: "true",
-                    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: "1024",
+                    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(input.memorySize),
                     AWS_LAMBDA_RUNTIME_API: `localhost:${server.port}/${input.workerID}`,
                 },
                 shell: true,
@@ -31,7 +31,7 @@ export const useRustHandler = () => {
                     IS_LOCAL: "true",
                     RUST_BACKTRACE: "1",
                     AWS_LAMBDA_RUNTIME_API: `http://localhost:${server.port}/${input.workerID}`,
-                    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: "1024",
+                    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(input.memorySize),
                 },
                 cwd: input.out,
             });
@@ -0,0 +1,24 @@
+export interface InvocationHistoryEntry {
+    requestID: string;
+    functionID: string;
+    started: number;
+    ended: number;
+    event: any;
+    context: any;
+    env: Record<string, string>;
+    stdout: string[];
+    response?: any;
+    error?: {
+        errorType: string;
+        errorMessage: string;
+        trace: string[];
+    };
+}
+export declare const useInvocationHistory: () => Promise<{
+    list(): Promise<InvocationHistoryEntry[]>;
+    /**
+     * Finds an invocation by its request ID, or the latest invocation of a
+     * function by its function ID
+     */
+    find(id: string): Promise<InvocationHistoryEntry | undefined>;
+}>;
@@ -0,0 +1,95 @@
+import path from "path";
+import fs from "fs/promises";
+import { useBus } from "../bus.js";
+import { useProject } from "../project.js";
+import { useFunctions } from "../constructs/Function.js";
+import { Logger } from "../logger.js";
+import { lazy } from "../util/lazy.js";
+const MAX_ENTRIES = 100;
+export const useInvocationHistory = lazy(async () => {
+    const bus = useBus();
+    const project = useProject();
+    const dir = path.join(project.paths.out, "history");
+    await fs.mkdir(dir, { recursive: true });
+    const pending = new Map();
+    async function save(requestID, result) {
+        const entry = pending.get(requestID);
+        if (!entry)
+            return;
+        pending.delete(requestID);
+        const file = path.join(dir, `${entry.started}-${requestID}.json`);
+        await fs.writeFile(file, JSON.stringify({
+            ...entry,
+            ...result,
+            ended: Date.now(),
+        }, null, 2));
+        Logger.debug("Saved invocation", requestID, "to history");
+        const files = await list();
+        await Promise.all(files
+            .slice(MAX_ENTRIES)
+            .map((file) => fs.rm(path.join(dir, file), { force: true })));
+    }
+    // Newest first, file names start with the invocation timestamp
+    async function list() {
+        const files = await fs.readdir(dir);
+        return files
+            .filter((file) => file.endsWith(".json"))
+            .sort()
+            .reverse();
+    }
+    async function read(file) {
+        return JSON.parse(await fs.readFile(path.join(dir, file)).then((x) => x.toString()));
+    }
+    bus.subscribe("function.invoked", async (evt) => {
+        // Only keep the variables the function is configured with, the rest
+        // is the shell or the deployed function's credentials and replays
+        // get those from the current session
+        const own = useFunctions().environment.fromID(evt.properties.functionID);
+        pending.set(evt.properties.requestID, {
+            requestID: evt.properties.requestID,
+            functionID: evt.properties.functionID,
+            started: Date.now(),
+            event: evt.properties.event,
+            context: evt.properties.context,
+            env: Object.fromEntries(Object.entries(evt.properties.env || {}).filter(([key]) => key in own)),
+            stdout: [],
+        });
+    });
+    bus.subscribe("worker.stdout", async (evt) => {
+        pending.get(evt.properties.requestID)?.stdout.push(evt.properties.message);
+    });
+    bus.subscribe("function.success", async (evt) => {
+        await save(evt.properties.requestID, {
+            response: evt.properties.body,
+        });
+    });
+    bus.subscribe("function.error", async (evt) => {
+        await save(evt.properties.requestID, {
+            error: {
+                errorType: evt.properties.errorType,
+                errorMessage: evt.properties.errorMessage,
+                trace: evt.properties.trace,
+            },
+        });
+    });
+    return {
+        async list() {
+            return Promise.all((await list()).map(read));
+        },
+        /**
+         * Finds an invocation by its request ID, or the latest invocation of a
+         * function by its function ID
+         */
+        async find(id) {
+            const files = await list();
+            const match = files.find((file) => file.endsWith(`-${id}.json`));
+            if (match)
+                return read(match);
+            for (const file of files) {
+                const entry = await read(file);
+                if (entry.functionID === id)
+                    return entry;
+            }
+        },
+    };
+});
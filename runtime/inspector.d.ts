@@ -0,0 +1,17 @@
+export declare const useWorkerInspector: () => {
+    /**
+     * Turns on the inspector for functions whose ID or handler matches one
+     * of the comma separated filters, or all functions when empty
+     */
+    enable(input: string): void;
+    /**
+     * Ports are derived from the function ID so they survive rebuilds and
+     * restarts. Workers running alongside the first one of a function get
+     * the next free port.
+     */
+    portFor(functionID: string, workerID: string): number | undefined;
+    /**
+     * Frees the port of a worker that exited
+     */
+    release(workerID: string): void;
+};
@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import { useFunctions } from "../constructs/Function.js";
+import { lazy } from "../util/lazy.js";
+const BASE_PORT = 9230;
+const PORT_RANGE = 500;
+export const useWorkerInspector = lazy(() => {
+    let filters;
+    function matches(functionID) {
+        if (!filters)
+            return false;
+        if (!filters.length)
+            return true;
+        const handler = useFunctions().fromID(functionID)?.handler || "";
+        return filters.some((filter) => filter === functionID || handler.includes(filter));
+    }
+    // Collisions between functions are resolved in function ID order
+    function basePorts() {
+        const result = new Map();
+        const taken = new Set();
+        const ids = Object.entries(useFunctions().all)
+            .filter(([id, props]) => props.runtime?.startsWith("nodejs") && matches(id))
+            .map(([id]) => id)
+            .sort();
+        for (const id of ids) {
+            let port = hash(id);
+            while (taken.has(port))
+                port = next(port);
+            result.set(id, port);
+            taken.add(port);
+        }
+        return result;
+    }
+    const assigned = new Map();
+    return {
+        /**
+         * Turns on the inspector for functions whose ID or handler matches one
+         * of the comma separated filters, or all functions when empty
+         */
+        enable(input) {
+            filters = input
+                .split(",")
+                .map((item) => item.trim())
+                .filter(Boolean);
+        },
+        /**
+         * Ports are derived from the function ID so they survive rebuilds and
+         * restarts. Workers running alongside the first one of a function get
+         * the next free port.
+         */
+        portFor(functionID, workerID) {
+            if (!matches(functionID))
+                return;
+            const props = useFunctions().fromID(functionID);
+            if (!props?.runtime?.startsWith("nodejs"))
+                return;
+            const existing = assigned.get(workerID);
+            if (existing)
+                return existing;
+            const bases = basePorts();
+            const base = bases.get(functionID);
+            const reserved = new Set(bases.values());
+            const inUse = new Set(assigned.values());
+            let port = base;
+            while (inUse.has(port) || (port !== base && reserved.has(port)))
+                port = next(port);
+            assigned.set(workerID, port);
+            return port;
+        },
+        /**
+         * Frees the port of a worker that exited
+         */
+        release(workerID) {
+            assigned.delete(workerID);
+        },
+    };
+});
+function next(port) {
+    return BASE_PORT + ((port - BASE_PORT + 1) % PORT_RANGE);
+}
+function hash(functionID) {
+    const digest = crypto.createHash("md5").update(functionID).digest();
+    return BASE_PORT + (digest.readUInt32BE(0) % PORT_RANGE);
+}
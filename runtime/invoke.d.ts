@@ -0,0 +1,55 @@
+declare module "../bus.js" {
+    interface Events {
+        "function.scaled": {
+            functionID: string;
+            size: number;
+            limit: number;
+        };
+        "function.throttled": {
+            functionID: string;
+            requestID: string;
+            limit: number;
+        };
+    }
+}
+interface InvokeInput {
+    functionID: string;
+    event: any;
+    workerID?: string;
+    clientContext?: any;
+    env?: Record<string, string>;
+}
+export type InvokeResult = {
+    type: "success";
+    requestID: string;
+    body: any;
+} | {
+    type: "error";
+    requestID: string;
+    errorType: string;
+    errorMessage: string;
+    trace: string[];
+};
+export declare const useFunctionInvoker: () => {
+    /**
+     * Sets how many workers a function without reserved concurrency can
+     * scale up to before invocations are queued
+     */
+    setConcurrency(value: number): void;
+    /**
+     * Gives local invocations the maximum Lambda timeout instead of the
+     * one the function is configured with
+     */
+    setIncreaseTimeout(value: boolean): void;
+    /**
+     * Adds variables to the environment of every local invocation, ie. the
+     * endpoints of emulated resources
+     */
+    setEnvironment(values: Record<string, string>): void;
+    /**
+     * Looks up a function by its ID or, when unambiguous, its handler
+     */
+    resolve(name: string): string | undefined;
+    invoke(input: InvokeInput): Promise<InvokeResult>;
+};
+export {};
@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import { useBus } from "../bus.js";
+import { useProject } from "../project.js";
+import { Function, useFunctions } from "../constructs/Function.js";
+import { lazy } from "../util/lazy.js";
+import { Token } from "aws-cdk-lib/core";
+const DEFAULT_CONCURRENCY = 10;
+// Host variables the local runtimes need to run and to reach AWS, everything
+// else in the shell stays out of the function
+const PASSTHROUGH_ENV = [
+    "PATH",
+    "HOME",
+    "TZ",
+    "AWS_PROFILE",
+    "AWS_ACCESS_KEY_ID",
+    "AWS_SECRET_ACCESS_KEY",
+    "AWS_SESSION_TOKEN",
+    "AWS_CONFIG_FILE",
+    "AWS_SHARED_CREDENTIALS_FILE",
+];
+// Matches the timeout of deployed functions with --increase-timeout
+const INCREASED_TIMEOUT = 900 * 1000;
+export const useFunctionInvoker = lazy(() => {
+    const bus = useBus();
+    const project = useProject();
+    const pending = new Map();
+    const pools = new Map();
+    let concurrency = DEFAULT_CONCURRENCY;
+    let increaseTimeout = false;
+    const environment = {};
+    function usePool(functionID) {
+        let pool = pools.get(functionID);
+        if (!pool) {
+            pool = { slots: [], queue: [] };
+            pools.set(functionID, pool);
+        }
+        return pool;
+    }
+    // Hands the worker of a finished request to the next queued one, or marks
+    // it idle so it stays warm for the next invocation
+    function release(functionID, requestID) {
+        const pool = pools.get(functionID);
+        const slot = pool?.slots.find((slot) => slot.requestID === requestID);
+        if (!slot)
+            return;
+        const next = pool.queue.shift();
+        slot.requestID = next?.requestID;
+        next?.dispatch(slot.workerID);
+    }
+    function complete(requestID, result) {
+        const entry = pending.get(requestID);
+        if (!entry)
+            return;
+        pending.delete(requestID);
+        release(entry.functionID, requestID);
+        entry.resolve(result);
+    }
+    bus.subscribe("function.success", async (evt) => {
+        complete(evt.properties.requestID, {
+            type: "success",
+            requestID: evt.properties.requestID,
+            body: evt.properties.body,
+        });
+    });
+    bus.subscribe("function.error", async (evt) => {
+        complete(evt.properties.requestID, {
+            type: "error",
+            requestID: evt.properties.requestID,
+            errorType: evt.properties.errorType,
+            errorMessage: evt.properties.errorMessage,
+            trace: evt.properties.trace,
+        });
+    });
+    // Workers never start when the build fails so fail the pending requests
+    bus.subscribe("function.build.failed", async (evt) => {
+        const pool = pools.get(evt.properties.functionID);
+        if (pool)
+            pool.queue = [];
+        for (const [requestID, entry] of pending) {
+            if (entry.functionID !== evt.properties.functionID)
+                continue;
+            complete(requestID, {
+                type: "error",
+                requestID,
+                errorType: "BuildError",
+                errorMessage: "Function failed to build",
+                trace: evt.properties.errors,
+            });
+        }
+    });
+    const result = {
+        /**
+         * Sets how many workers a function without reserved concurrency can
+         * scale up to before invocations are queued
+         */
+        setConcurrency(value) {
+            concurrency = value;
+        },
+        /**
+         * Gives local invocations the maximum Lambda timeout instead of the
+         * one the function is configured with
+         */
+        setIncreaseTimeout(value) {
+            increaseTimeout = value;
+        },
+        /**
+         * Adds variables to the environment of every local invocation, ie. the
+         * endpoints of emulated resources
+         */
+        setEnvironment(values) {
+            Object.assign(environment, values);
+        },
+        /**
+         * Looks up a function by its ID or, when unambiguous, its handler
+         */
+        resolve(name) {
+            const functions = useFunctions();
+            if (functions.fromID(name))
+                return name;
+            const matches = Object.entries(functions.all).filter(([_, props]) => props.handler === name);
+            if (matches.length !== 1)
+                return;
+            return matches[0][0];
+        },
+        invoke(input) {
+            const props = useFunctions().fromID(input.functionID);
+            if (!props)
+                throw new Error(`Function with ID "${input.functionID}" not found`);
+            const requestID = crypto.randomUUID();
+            const region = project.config.region || "us-east-1";
+            const functionName = `${project.config.stage}-${project.config.name}-${input.functionID}`;
+            // Values that only resolve at deploy time can't be used locally
+            const bound = Object.fromEntries(Object.entries(useFunctions().environment.fromID(input.functionID)).filter(([_, value]) => !Token.isUnresolved(value)));
+            const host = Object.fromEntries(PASSTHROUGH_ENV.filter((key) => process.env[key] !== undefined).map((key) => [key, process.env[key]]));
+            const memorySize = Function.normalizeMemorySize(props.memorySize);
+            const deadline = increaseTimeout
+                ? INCREASED_TIMEOUT
+                : Function.normalizeTimeout(props.timeout).toMilliseconds();
+            const promise = new Promise((resolve) => {
+                pending.set(requestID, {
+                    functionID: input.functionID,
+                    resolve,
+                });
+            });
+            const dispatch = (workerID) => bus.publish("function.invoked", {
+                workerID,
+                functionID: input.functionID,
+                requestID,
+                deadline,
+                event: input.event,
+                env: {
+                    ...host,
+                    ...(project.config.profile
+                        ? { AWS_PROFILE: project.config.profile }
+                        : {}),
+                    ...bound,
+                    AWS_REGION: region,
+                    AWS_DEFAULT_REGION: region,
+                    AWS_LAMBDA_FUNCTION_NAME: functionName,
+                    AWS_LAMBDA_FUNCTION_VERSION: "$LATEST",
+                    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(memorySize),
+                    SST_APP: project.config.name,
+                    SST_STAGE: project.config.stage,
+                    SST_FUNCTION_ID: input.functionID,
+                    ...environment,
+                    ...input.env,
+                },
+                context: {
+                    awsRequestId: requestID,
+                    functionName,
+                    functionVersion: "$LATEST",
+                    memoryLimitInMB: String(memorySize),
+                    invokedFunctionArn: `arn:aws:lambda:${region}:000000000000:function:${functionName}`,
+                    logGroupName: `/aws/lambda/${functionName}`,
+                    logStreamName: `local/${requestID}`,
+                    clientContext: input.clientContext,
+                },
+            });
+            if (input.workerID) {
+                dispatch(input.workerID);
+                return promise;
+            }
+            const pool = usePool(input.functionID);
+            const idle = pool.slots.find((slot) => !slot.requestID);
+            if (idle) {
+                idle.requestID = requestID;
+                dispatch(idle.workerID);
+                return promise;
+            }
+            const reserved = props.reservedConcurrentExecutions;
+            const limit = reserved ?? concurrency;
+            if (pool.slots.length < limit) {
+                const slot = {
+                    workerID: `local-${input.functionID}-${pool.slots.length}`,
+                    requestID,
+                };
+                pool.slots.push(slot);
+                bus.publish("function.scaled", {
+                    functionID: input.functionID,
+                    size: pool.slots.length,
+                    limit,
+                });
+                dispatch(slot.workerID);
+                return promise;
+            }
+            // Lambda throttles instead of queueing once reserved concurrency
+            // is used up
+            if (reserved !== undefined) {
+                bus.publish("function.throttled", {
+                    functionID: input.functionID,
+                    requestID,
+                    limit,
+                });
+                complete(requestID, {
+                    type: "error",
+                    requestID,
+                    errorType: "TooManyRequestsException",
+                    errorMessage: "Rate Exceeded.",
+                    trace: [],
+                });
+                return promise;
+            }
+            pool.queue.push({ requestID, dispatch });
+            return promise;
+        },
+    };
+    return result;
+});
@@ -0,0 +1,28 @@
+declare module "../bus.js" {
+    interface Events {
+        "queue.emulator.started": {
+            id: string;
+            addr: string;
+            url: string;
+        };
+        "queue.emulator.deadlettered": {
+            id: string;
+            messageId: string;
+            target?: string;
+        };
+    }
+}
+/**
+ * Emulates the queues of the app in memory so consumers can be tested
+ * without AWS. Messages are sent with the SQS SendMessage API and delivered
+ * to the consumer the same way the Lambda event source mapping does.
+ */
+export declare const useQueueEmulator: () => Promise<{
+    url: string;
+    readonly all: {
+        id: string;
+        addr: string;
+        url: string;
+        messages: number;
+    }[];
+}>;
@@ -0,0 +1,407 @@
+import http from "http";
+import crypto from "crypto";
+import getPort from "get-port";
+import { useBus } from "../bus.js";
+import { Logger } from "../logger.js";
+import { useProject } from "../project.js";
+import { Config } from "../config.js";
+import { useConstructMetadata } from "../constructs/App.js";
+import { useFunctionInvoker } from "./invoke.js";
+import { lazy } from "../util/lazy.js";
+const ACCOUNT = "000000000000";
+/**
+ * Emulates the queues of the app in memory so consumers can be tested
+ * without AWS. Messages are sent with the SQS SendMessage API and delivered
+ * to the consumer the same way the Lambda event source mapping does.
+ */
+export const useQueueEmulator = lazy(async () => {
+    const bus = useBus();
+    const project = useProject();
+    const invoker = useFunctionInvoker();
+    const queues = new Map();
+    const port = await getPort({
+        port: 9324,
+    });
+    const url = `http://localhost:${port}`;
+    let timer;
+    function sync(metadata) {
+        for (const item of metadata) {
+            if (item.type !== "Queue")
+                continue;
+            const existing = queues.get(item.addr);
+            if (existing) {
+                existing.metadata = item;
+                continue;
+            }
+            const entry = {
+                metadata: item,
+                url: `${url}/${ACCOUNT}/${item.id}`,
+                messages: [],
+            };
+            queues.set(item.addr, entry);
+            invoker.setEnvironment({
+                [Config.envFor({ type: "Queue", id: item.id, prop: "queueUrl" })]: entry.url,
+            });
+            Logger.debug("Started queue emulator", item.id, entry.url);
+            bus.publish("queue.emulator.started", {
+                id: item.id,
+                addr: item.addr,
+                url: entry.url,
+            });
+        }
+        schedule();
+    }
+    // Accepts the local url, the deployed url or just the name of the queue
+    function find(queueUrl) {
+        const name = String(queueUrl || "").split("/").pop();
+        for (const entry of queues.values()) {
+            const id = entry.metadata.id;
+            const logical = `${project.config.stage}-${project.config.name}-${id}`;
+            if ([id, logical, `${logical}.fifo`, entry.metadata.data.name].includes(name))
+                return entry;
+        }
+    }
+    function send(entry, input) {
+        const body = input.MessageBody;
+        if (!body)
+            throw new QueueError("MissingParameter", "The request must contain the parameter MessageBody.");
+        if (entry.metadata.data.fifo && !input.MessageGroupId)
+            throw new QueueError("MissingParameter", "The request must contain the parameter MessageGroupId.");
+        const delay = Number(input.DelaySeconds || 0);
+        const message = {
+            messageId: crypto.randomUUID(),
+            body,
+            attributes: input.MessageAttributes || {},
+            groupId: input.MessageGroupId,
+            sent: Date.now(),
+            visibleAt: Date.now() + delay * 1000,
+            receiveCount: 0,
+        };
+        entry.messages.push(message);
+        Logger.debug("Queue", entry.metadata.id, "received message", message.messageId);
+        schedule();
+        return {
+            MessageId: message.messageId,
+            MD5OfMessageBody: md5(body),
+            MD5OfMessageAttributes: Object.keys(message.attributes).length
+                ? md5OfAttributes(message.attributes)
+                : undefined,
+        };
+    }
+    // Picks the messages for the next batch, moving the ones that were
+    // received too many times to the dead-letter queue
+    function receive(entry, now) {
+        const dlq = entry.metadata.data.deadLetterQueue;
+        const batchSize = entry.metadata.data.consumerConfig.batchSize;
+        const inflightGroups = new Set(entry.messages
+            .filter((message) => message.visibleAt > now && message.receiveCount > 0)
+            .map((message) => message.groupId));
+        const batch = [];
+        for (const message of [...entry.messages]) {
+            if (batch.length >= batchSize)
+                break;
+            if (message.visibleAt > now)
+                continue;
+            // Messages in a FIFO group are delivered one batch at a time
+            if (message.groupId && inflightGroups.has(message.groupId))
+                continue;
+            if (dlq && message.receiveCount >= dlq.maxReceiveCount) {
+                remove(entry, message);
+                const target = dlq.node && queues.get(dlq.node);
+                Logger.debug("Queue", entry.metadata.id, "moving message", message.messageId, "to", target?.metadata.id);
+                bus.publish("queue.emulator.deadlettered", {
+                    id: entry.metadata.id,
+                    messageId: message.messageId,
+                    target: target?.metadata.id,
+                });
+                if (target)
+                    target.messages.push({ ...message, visibleAt: now, receiveCount: 0 });
+                continue;
+            }
+            batch.push(message);
+        }
+        if (entry.metadata.data.fifo) {
+            const group = batch[0]?.groupId;
+            return batch.filter((message) => message.groupId === group);
+        }
+        return batch;
+    }
+    function remove(entry, message) {
+        const index = entry.messages.indexOf(message);
+        if (index !== -1)
+            entry.messages.splice(index, 1);
+    }
+    async function poll(entry) {
+        const now = Date.now();
+        const batch = receive(entry, now);
+        if (!batch.length)
+            return;
+        const visibilityTimeout = entry.metadata.data.visibilityTimeout * 1000;
+        for (const message of batch) {
+            message.receiveCount++;
+            message.firstReceived = message.firstReceived || now;
+            message.visibleAt = now + visibilityTimeout;
+            message.receiptHandle = crypto.randomBytes(32).toString("base64");
+        }
+        const result = await invoker.invoke({
+            functionID: entry.metadata.data.consumer.node,
+            event: {
+                Records: batch.map((message) => createRecord(entry, message)),
+            },
+        });
+        if (result.type === "error") {
+            Logger.debug("Queue", entry.metadata.id, "consumer failed, messages will be retried");
+            return schedule();
+        }
+        const failures = entry.metadata.data.consumerConfig.reportBatchItemFailures
+            ? new Set((result.body?.batchItemFailures || []).map((item) => item.itemIdentifier))
+            : new Set();
+        for (const message of batch) {
+            if (failures.has(message.messageId))
+                continue;
+            remove(entry, message);
+        }
+        schedule();
+    }
+    // Wakes up when the next message becomes visible or the batching window
+    // of a queue closes
+    function schedule() {
+        clearTimeout(timer);
+        const now = Date.now();
+        let next = Infinity;
+        for (const entry of queues.values()) {
+            const config = entry.metadata.data.consumerConfig;
+            if (!config || !entry.metadata.data.consumer)
+                continue;
+            const visible = entry.messages.filter((message) => message.visibleAt <= now);
+            const window = config.maxBatchingWindow * 1000;
+            const oldest = Math.min(...visible.map((message) => message.visibleAt));
+            if (visible.length &&
+                (visible.length >= config.batchSize || oldest + window <= now)) {
+                // Received messages become invisible right away so they are
+                // picked up by the loop below
+                poll(entry).catch((ex) => Logger.debug("Queue", entry.metadata.id, "failed to poll", ex));
+            }
+            else if (visible.length)
+                next = Math.min(next, oldest + window);
+            for (const message of entry.messages) {
+                if (message.visibleAt > now)
+                    next = Math.min(next, message.visibleAt);
+            }
+        }
+        if (next !== Infinity)
+            timer = setTimeout(schedule, Math.max(next - now, 0));
+    }
+    function createRecord(entry, message) {
+        return {
+            messageId: message.messageId,
+            receiptHandle: message.receiptHandle,
+            body: message.body,
+            attributes: {
+                ApproximateReceiveCount: String(message.receiveCount),
+                SentTimestamp: String(message.sent),
+                SenderId: ACCOUNT,
+                ApproximateFirstReceiveTimestamp: String(message.firstReceived),
+                ...(message.groupId ? { MessageGroupId: message.groupId } : {}),
+            },
+            messageAttributes: Object.fromEntries(Object.entries(message.attributes).map(([key, value]) => [
+                key,
+                {
+                    stringValue: value.StringValue,
+                    binaryValue: value.BinaryValue,
+                    stringListValues: [],
+                    binaryListValues: [],
+                    dataType: value.DataType,
+                },
+            ])),
+            md5OfBody: md5(message.body),
+            eventSource: "aws:sqs",
+            eventSourceARN: `arn:aws:sqs:${project.config.region || "us-east-1"}:${ACCOUNT}:${entry.metadata.id}${entry.metadata.data.fifo ? ".fifo" : ""}`,
+            awsRegion: project.config.region || "us-east-1",
+        };
+    }
+    async function handle(req, res) {
+        const body = await new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on("data", (chunk) => chunks.push(chunk));
+            req.on("end", () => resolve(Buffer.concat(chunks).toString()));
+            req.on("error", reject);
+        });
+        // Newer SDKs use the JSON protocol, older ones the query protocol
+        const target = req.headers["x-amz-target"];
+        const json = typeof target === "string";
+        const action = json
+            ? target.replace("AmazonSQS.", "")
+            : new URLSearchParams(body).get("Action");
+        const input = json ? JSON.parse(body || "{}") : parseQuery(body);
+        const reply = (status, output) => {
+            res.writeHead(status, {
+                "content-type": json ? "application/x-amz-json-1.0" : "text/xml",
+            });
+            res.end(json ? JSON.stringify(output) : toXML(action, output));
+        };
+        try {
+            if (action === "GetQueueUrl") {
+                const entry = find(input.QueueName);
+                if (!entry)
+                    throw new QueueError("AWS.SimpleQueueService.NonExistentQueue", "The specified queue does not exist.");
+                return reply(200, { QueueUrl: entry.url });
+            }
+            const entry = find(input.QueueUrl || req.url);
+            if (!entry)
+                throw new QueueError("AWS.SimpleQueueService.NonExistentQueue", "The specified queue does not exist.");
+            if (action === "SendMessage")
+                return reply(200, send(entry, input));
+            if (action === "SendMessageBatch") {
+                const Successful = [];
+                const Failed = [];
+                for (const item of input.Entries || []) {
+                    try {
+                        Successful.push({ Id: item.Id, ...send(entry, item) });
+                    }
+                    catch (ex) {
+                        Failed.push({
+                            Id: item.Id,
+                            Code: ex.code,
+                            Message: ex.message,
+                            SenderFault: true,
+                        });
+                    }
+                }
+                return reply(200, { Successful, Failed });
+            }
+            throw new QueueError("InvalidAction", `The action ${action} is not supported locally.`);
+        }
+        catch (ex) {
+            if (!(ex instanceof QueueError))
+                throw ex;
+            res.writeHead(400, {
+                "content-type": json ? "application/x-amz-json-1.0" : "text/xml",
+            });
+            res.end(json
+                ? JSON.stringify({ __type: ex.code, message: ex.message })
+                : `<ErrorResponse><Error><Type>Sender</Type><Code>${ex.code}</Code><Message>${escapeXML(ex.message)}</Message></Error><RequestId>${crypto.randomUUID()}</RequestId></ErrorResponse>`);
+        }
+    }
+    http
+        .createServer((req, res) => handle(req, res).catch((ex) => {
+        Logger.debug("Queue emulator failed to handle request", ex);
+        res.writeHead(500);
+        res.end();
+    }))
+        .listen(port);
+    invoker.setEnvironment({ SST_QUEUE_ENDPOINT: url });
+    bus.subscribe("stacks.synthesized", (evt) => sync(evt.properties.metadata));
+    sync(useConstructMetadata().all);
+    return {
+        url,
+        get all() {
+            return [...queues.values()].map((entry) => ({
+                id: entry.metadata.id,
+                addr: entry.metadata.addr,
+                url: entry.url,
+                messages: entry.messages.length,
+            }));
+        },
+    };
+});
+class QueueError extends Error {
+    code;
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+/**
+ * Turns the flattened query protocol parameters into the same shape as the
+ * JSON protocol, ie. `MessageAttribute.1.Name` into `MessageAttributes`
+ */
+function parseQuery(body) {
+    const params = new URLSearchParams(body);
+    const result = {};
+    const attributes = (prefix) => {
+        const output = {};
+        for (let i = 1; params.has(`${prefix}.${i}.Name`); i++) {
+            output[params.get(`${prefix}.${i}.Name`)] = {
+                DataType: params.get(`${prefix}.${i}.Value.DataType`),
+                StringValue: params.get(`${prefix}.${i}.Value.StringValue`) ?? undefined,
+                BinaryValue: params.get(`${prefix}.${i}.Value.BinaryValue`) ?? undefined,
+            };
+        }
+        return output;
+    };
+    for (const key of [
+        "QueueUrl",
+        "QueueName",
+        "MessageBody",
+        "DelaySeconds",
+        "MessageGroupId",
+        "MessageDeduplicationId",
+    ]) {
+        if (params.has(key))
+            result[key] = params.get(key);
+    }
+    result.MessageAttributes = attributes("MessageAttribute");
+    const entries = [];
+    for (let i = 1; params.has(`SendMessageBatchRequestEntry.${i}.Id`); i++) {
+        const prefix = `SendMessageBatchRequestEntry.${i}`;
+        entries.push({
+            Id: params.get(`${prefix}.Id`),
+            MessageBody: params.get(`${prefix}.MessageBody`),
+            DelaySeconds: params.get(`${prefix}.DelaySeconds`) ?? undefined,
+            MessageGroupId: params.get(`${prefix}.MessageGroupId`) ?? undefined,
+            MessageAttributes: attributes(`${prefix}.MessageAttribute`),
+        });
+    }
+    result.Entries = entries;
+    return result;
+}
+function toXML(action, output) {
+    const field = (name, value) => value === undefined ? "" : `<${name}>${escapeXML(String(value))}</${name}>`;
+    const message = (item) => field("MessageId", item.MessageId) +
+        field("MD5OfMessageBody", item.MD5OfMessageBody) +
+        field("MD5OfMessageAttributes", item.MD5OfMessageAttributes);
+    let result = "";
+    if (action === "GetQueueUrl")
+        result = field("QueueUrl", output.QueueUrl);
+    if (action === "SendMessage")
+        result = message(output);
+    if (action === "SendMessageBatch") {
+        result =
+            output.Successful.map((item) => `<SendMessageBatchResultEntry>${field("Id", item.Id)}${message(item)}</SendMessageBatchResultEntry>`).join("") +
+                output.Failed.map((item) => `<BatchResultErrorEntry>${field("Id", item.Id)}${field("Code", item.Code)}${field("Message", item.Message)}<SenderFault>true</SenderFault></BatchResultErrorEntry>`).join("");
+    }
+    return `<${action}Response><${action}Result>${result}</${action}Result><ResponseMetadata><RequestId>${crypto.randomUUID()}</RequestId></ResponseMetadata></${action}Response>`;
+}
+function escapeXML(value) {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+function md5(value) {
+    return crypto.createHash("md5").update(value).digest("hex");
+}
+// The SDK verifies this digest so it follows the encoding SQS uses
+function md5OfAttributes(attributes) {
+    const hash = crypto.createHash("md5");
+    const length = (value) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32BE(value.length);
+        return Buffer.concat([buffer, value]);
+    };
+    for (const name of Object.keys(attributes).sort()) {
+        const attribute = attributes[name];
+        hash.update(length(Buffer.from(name)));
+        hash.update(length(Buffer.from(attribute.DataType)));
+        if (attribute.BinaryValue !== undefined) {
+            hash.update(Buffer.from([2]));
+            hash.update(length(Buffer.from(attribute.BinaryValue, "base64")));
+            continue;
+        }
+        hash.update(Buffer.from([1]));
+        hash.update(length(Buffer.from(attribute.StringValue ?? "")));
+    }
+    return hash.digest("hex");
+}
@@ -1,6 +1,13 @@
 export declare const useRuntimeServerConfig: () => Promise<{
     API_VERSION: string;
+    INVOKE_API_VERSION: string;
     port: number;
     url: string;
 }>;
 export declare const useRuntimeServer: () => Promise<void>;
+/**
+ * Lets other commands like `sst invoke` find the runtime server of this
+ * `sst dev` session. Standalone commands run their own server and shouldn't
+ * call this.
+ */
+export declare const useRuntimeServerDiscovery: () => Promise<void>;
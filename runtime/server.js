@@ -2,8 +2,12 @@ import express from "express";
 import { useBus } from "../bus.js";
 import { Logger } from "../logger.js";
 import { useRuntimeWorkers } from "./workers.js";
+import { useFunctionInvoker } from "./invoke.js";
+import { useEventFixtures } from "./fixtures.js";
+import { useCronJobs } from "./cron.js";
 import https from "https";
 import getPort from "get-port";
+import { useCache } from "../cache.js";
 import { lazy } from "../util/lazy.js";
 export const useRuntimeServerConfig = lazy(async () => {
     const port = await getPort({
@@ -11,6 +15,7 @@ export const useRuntimeServerConfig = lazy(async () => {
     });
     return {
         API_VERSION: "2018-06-01",
+        INVOKE_API_VERSION: "2015-03-31",
         port,
         url: `http://localhost:${port}`,
     };
@@ -18,8 +23,11 @@ export const useRuntimeServerConfig = lazy(async () => {
 export const useRuntimeServer = lazy(async () => {
     const bus = useBus();
     const app = express();
+    // Subscribe before the deployed metadata is published
+    const fixtures = useEventFixtures();
     const workers = await useRuntimeWorkers();
     const cfg = await useRuntimeServerConfig();
+    const invoker = useFunctionInvoker();
     const workersWaiting = new Map();
     const invocationsQueued = new Map();
     function next(workerID) {
@@ -69,6 +77,7 @@ export const useRuntimeServer = lazy(async () => {
         Logger.debug("Worker", req.params.workerID, "is waiting for next invocation");
         const payload = await next(req.params.workerID);
         Logger.debug("Worker", req.params.workerID, "sending next payload");
+        workers.startTimer(req.params.workerID, payload.requestID, payload.deadline);
         res.set({
             "Lambda-Runtime-Aws-Request-Id": payload.context.awsRequestId,
             "Lambda-Runtime-Deadline-Ms": Date.now() + payload.deadline,
@@ -97,6 +106,134 @@ export const useRuntimeServer = lazy(async () => {
         });
         res.status(202).send();
     });
+    // Mirrors the Lambda Invoke API so functions can be invoked without the
+    // deployed stub, ie. `aws lambda invoke --endpoint-url`
+    app.post(`/${cfg.INVOKE_API_VERSION}/functions/:functionName/invocations`, express.raw({
+        type: "*/*",
+        limit: "6mb",
+    }), async (req, res) => {
+        const functionID = invoker.resolve(req.params.functionName);
+        if (!functionID) {
+            res.status(404).set("X-Amzn-ErrorType", "ResourceNotFoundException").json({
+                Type: "User",
+                Message: `Function not found: ${req.params.functionName}`,
+            });
+            return;
+        }
+        const invocationType = req.header("X-Amz-Invocation-Type") || "RequestResponse";
+        if (invocationType === "DryRun") {
+            res.status(204).send();
+            return;
+        }
+        let event;
+        let clientContext;
+        try {
+            const body = Buffer.isBuffer(req.body) ? req.body.toString() : "";
+            event = body ? JSON.parse(body) : {};
+            const header = req.header("X-Amz-Client-Context");
+            if (header)
+                clientContext = JSON.parse(Buffer.from(header, "base64").toString());
+        }
+        catch {
+            res.status(400).set("X-Amzn-ErrorType", "InvalidRequestContentException").json({
+                Type: "User",
+                Message: "Could not parse request body into json",
+            });
+            return;
+        }
+        const promise = invoker.invoke({
+            functionID,
+            event,
+            clientContext,
+        });
+        if (invocationType === "Event") {
+            res.status(202).send();
+            return;
+        }
+        const result = await promise;
+        if (result.type === "error" &&
+            result.errorType === "TooManyRequestsException") {
+            res.status(429).set("X-Amzn-ErrorType", "TooManyRequestsException").json({
+                Reason: "ReservedFunctionConcurrentInvocationLimitExceeded",
+                Type: "User",
+                message: result.errorMessage,
+            });
+            return;
+        }
+        res.status(200).set({
+            "Content-Type": "application/json",
+            "X-Amz-Executed-Version": "$LATEST",
+            "X-Amzn-RequestId": result.requestID,
+        });
+        if (result.type === "error") {
+            res.set("X-Amz-Function-Error", "Unhandled").send(JSON.stringify({
+                errorType: result.errorType,
+                errorMessage: result.errorMessage,
+                trace: result.trace,
+            }));
+            return;
+        }
+        res.send(JSON.stringify(result.body ?? null));
+    });
+    // Used by `sst replay` to re-run a recorded invocation in this session
+    app.post(`/replay`, express.json({
+        strict: false,
+        limit: "10mb",
+    }), async (req, res) => {
+        const functionID = invoker.resolve(req.body.functionID);
+        if (!functionID) {
+            res.status(404).json({
+                message: `Function not found: ${req.body.functionID}`,
+            });
+            return;
+        }
+        try {
+            const result = await invoker.invoke({
+                functionID,
+                event: req.body.event,
+                clientContext: req.body.clientContext,
+                env: req.body.env,
+            });
+            res.json(result);
+        }
+        catch (e) {
+            res.status(400).json({ message: e.message });
+        }
+    });
+    // Used by `sst invoke` to run a function with a given or generated event
+    app.post(`/invoke`, express.json({
+        strict: false,
+        limit: "10mb",
+    }), async (req, res) => {
+        const functionID = invoker.resolve(req.body.name);
+        if (!functionID) {
+            res.status(404).json({
+                message: `Function not found: ${req.body.name}`,
+            });
+            return;
+        }
+        try {
+            const event = req.body.event ??
+                (await fixtures.create({ functionID, type: req.body.type }));
+            const result = await invoker.invoke({ functionID, event });
+            res.json(result);
+        }
+        catch (e) {
+            res.status(400).json({ message: e.message });
+        }
+    });
+    // Used by `sst cron trigger` to run a job in this session
+    app.post(`/cron/trigger`, express.json({
+        strict: false,
+    }), async (req, res) => {
+        try {
+            const result = await useCronJobs().trigger(req.body.id);
+            res.json(result);
+        }
+        catch (e) {
+            res.status(404).json({ message: e.message });
+        }
+    });
     app.all(`/proxy*`, express.raw({
         type: "*/*",
         limit: "1024mb",
@@ -148,3 +285,19 @@ export const useRuntimeServer = lazy(async () => {
     });
     app.listen(cfg.port);
 });
+/**
+ * Lets other commands like `sst invoke` find the runtime server of this
+ * `sst dev` session. Standalone commands run their own server and shouldn't
+ * call this.
+ */
+export const useRuntimeServerDiscovery = lazy(async () => {
+    const cfg = await useRuntimeServerConfig();
+    const cache = await useCache();
+    await cache.write("runtime.json", JSON.stringify({ url: cfg.url }));
+    // The file has to go with the process. Signals skip "exit" listeners
+    // unless handled.
+    process.on("exit", () => cache.removeSync("runtime.json"));
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+        process.once(signal, () => process.exit());
+    }
+});
@@ -18,6 +18,11 @@ declare module "../bus.js" {
             requestID: string;
             message: string;
         };
+        "worker.inspector": {
+            workerID: string;
+            functionID: string;
+            url: string;
+        };
     }
 }
 interface Worker {
@@ -28,8 +33,17 @@ export declare const useRuntimeWorkers: () => Promise<{
     fromID(workerID: string): Worker;
     getCurrentRequestID(workerID: string): string | undefined;
     stdout(workerID: string, message: string): void;
+    inspector(workerID: string, url: string): void;
+    /**
+     * Fails the request once its deadline passes, the deadline already
+     * accounts for --increase-timeout. Lambda freezes the sandbox when
+     * that happens so the worker is stopped and the next request starts
+     * from a cold start.
+     */
+    startTimer(workerID: string, requestID: string, deadline: number): void;
+    outOfMemory(workerID: string): void;
     exited(workerID: string): void;
-    subscribe: <Type extends "worker.started" | "worker.stopped" | "worker.exited" | "worker.stdout">(type: Type, cb: (payload: import("../bus.js").EventPayload<Type>) => void) => {
+    subscribe: <Type extends "worker.started" | "worker.stopped" | "worker.exited" | "worker.stdout" | "worker.inspector">(type: Type, cb: (payload: import("../bus.js").EventPayload<Type>) => void) => {
         type: keyof import("../bus.js").Events;
         cb: (payload: any) => void;
     };
@@ -1,14 +1,25 @@
 import { useBus } from "../bus.js";
 import { useFunctionBuilder, useRuntimeHandlers } from "./handlers.js";
 import { useRuntimeServerConfig } from "./server.js";
-import { useFunctions } from "../constructs/Function.js";
+import { useWorkerInspector } from "./inspector.js";
+import { Function, useFunctions } from "../constructs/Function.js";
 import { lazy } from "../util/lazy.js";
+import { secretBackendName, secretFilePaths } from "../secrets.js";
 export const useRuntimeWorkers = lazy(async () => {
     const workers = new Map();
     const bus = useBus();
     const handlers = useRuntimeHandlers();
     const builder = useFunctionBuilder();
     const server = await useRuntimeServerConfig();
+    const inspector = useWorkerInspector();
+    // Local workers read secrets from the same file as the CLI, the paths are
+    // only valid on this machine so they're not part of the function's config
+    const secretsEnv = {};
+    if (secretBackendName() === "file") {
+        const paths = secretFilePaths();
+        secretsEnv.SST_SECRETS_FILE = paths.file;
+        secretsEnv.SST_SECRETS_KEY_FILE = paths.key;
+    }
     handlers.subscribe("function.build.success", async (evt) => {
         for (const [_, worker] of workers) {
             if (worker.functionID === evt.properties.functionID) {
@@ -22,40 +33,73 @@ export const useRuntimeWorkers = lazy(async () => {
         }
     });
     const lastRequestId = new Map();
-    bus.subscribe("function.invoked", async (evt) => {
-        bus.publish("function.ack", {
-            functionID: evt.properties.functionID,
-            workerID: evt.properties.workerID,
+    const timers = new Map();
+    // Latest invocation of each worker that hasn't finished yet, a worker that
+    // exits with one of these is restarted to pick it up
+    const unfinished = new Map();
+    function fail(worker, requestID, errorType, errorMessage) {
+        bus.publish("function.error", {
+            workerID: worker.workerID,
+            functionID: worker.functionID,
+            requestID,
+            errorType,
+            errorMessage,
+            trace: [],
         });
-        lastRequestId.set(evt.properties.workerID, evt.properties.requestID);
-        let worker = workers.get(evt.properties.workerID);
-        if (worker)
-            return;
-        const props = useFunctions().fromID(evt.properties.functionID);
+    }
+    const done = (evt) => {
+        clearTimeout(timers.get(evt.properties.requestID));
+        timers.delete(evt.properties.requestID);
+        if (unfinished.get(evt.properties.workerID)?.requestID ===
+            evt.properties.requestID)
+            unfinished.delete(evt.properties.workerID);
+    };
+    bus.subscribe("function.success", done);
+    bus.subscribe("function.error", done);
+    async function start(invocation) {
+        const props = useFunctions().fromID(invocation.functionID);
         if (!props)
             return;
         const handler = handlers.for(props.runtime);
         if (!handler)
             return;
-        const build = await builder.artifact(evt.properties.functionID);
+        const build = await builder.artifact(invocation.functionID);
         if (!build)
             return;
+        const port = inspector.portFor(invocation.functionID, invocation.workerID);
         await handler.startWorker({
             ...build,
-            workerID: evt.properties.workerID,
-            functionID: evt.properties.functionID,
-            environment: evt.properties.env,
-            url: `${server.url}/${evt.properties.workerID}/${server.API_VERSION}`,
+            workerID: invocation.workerID,
+            functionID: invocation.functionID,
+            environment: {
+                ...invocation.env,
+                ...secretsEnv,
+            },
+            url: `${server.url}/${invocation.workerID}/${server.API_VERSION}`,
             runtime: props.runtime,
+            memorySize: Function.normalizeMemorySize(props.memorySize),
+            inspect: port ? { port } : undefined,
         });
-        workers.set(evt.properties.workerID, {
-            workerID: evt.properties.workerID,
-            functionID: evt.properties.functionID,
+        workers.set(invocation.workerID, {
+            workerID: invocation.workerID,
+            functionID: invocation.functionID,
         });
         bus.publish("worker.started", {
-            workerID: evt.properties.workerID,
+            workerID: invocation.workerID,
+            functionID: invocation.functionID,
+        });
+    }
+    bus.subscribe("function.invoked", async (evt) => {
+        bus.publish("function.ack", {
             functionID: evt.properties.functionID,
+            workerID: evt.properties.workerID,
         });
+        lastRequestId.set(evt.properties.workerID, evt.properties.requestID);
+        unfinished.set(evt.properties.workerID, evt.properties);
+        let worker = workers.get(evt.properties.workerID);
+        if (worker)
+            return;
+        await start(evt.properties);
     });
     return {
         fromID(workerID) {
@@ -72,14 +116,57 @@ export const useRuntimeWorkers = lazy(async () => {
                 requestID: lastRequestId.get(workerID),
             });
         },
+        inspector(workerID, url) {
+            const worker = workers.get(workerID);
+            if (!worker || !url)
+                return;
+            bus.publish("worker.inspector", {
+                ...worker,
+                url,
+            });
+        },
+        /**
+         * Fails the request once its deadline passes, the deadline already
+         * accounts for --increase-timeout. Lambda freezes the sandbox when
+         * that happens so the worker is stopped and the next request starts
+         * from a cold start.
+         */
+        startTimer(workerID, requestID, deadline) {
+            timers.set(requestID, setTimeout(async () => {
+                const worker = workers.get(workerID);
+                const props = worker && useFunctions().fromID(worker.functionID);
+                if (!props)
+                    return;
+                // Stopped first so the next request doesn't land on this
+                // worker, without restarting it for the request that timed out
+                if (unfinished.get(workerID)?.requestID === requestID)
+                    unfinished.delete(workerID);
+                await handlers.for(props.runtime)?.stopWorker(workerID);
+                fail(worker, requestID, "Sandbox.Timedout", `Task timed out after ${(deadline / 1000).toFixed(2)} seconds`);
+            }, deadline));
+        },
+        outOfMemory(workerID) {
+            const worker = workers.get(workerID);
+            const requestID = lastRequestId.get(workerID);
+            if (!worker || !requestID)
+                return;
+            const props = useFunctions().fromID(worker.functionID);
+            fail(worker, requestID, "Runtime.OutOfMemory", `Runtime exited with error: memory limit of ${Function.normalizeMemorySize(props?.memorySize)} MB exceeded`);
+        },
         exited(workerID) {
             const existing = workers.get(workerID);
             if (!existing)
                 return;
             workers.delete(workerID);
             lastRequestId.delete(workerID);
+            inspector.release(workerID);
             bus.publish("worker.exited", existing);
+            // Requests handed to the worker while it was shutting down are
+            // still queued for it
+            const invocation = unfinished.get(workerID);
+            if (invocation)
+                start(invocation);
         },
-        subscribe: bus.forward("worker.started", "worker.stopped", "worker.exited", "worker.stdout"),
+        subscribe: bus.forward("worker.started", "worker.stopped", "worker.exited", "worker.stdout", "worker.inspector"),
     };
 });
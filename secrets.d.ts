@@ -0,0 +1,49 @@
+import type { ConfigOptions } from "./project.js";
+export interface SecretVersion {
+    version: number;
+    value?: string;
+    updatedAt?: Date;
+    updatedBy?: string;
+}
+export interface SecretBackend {
+    name: string;
+    list(prefix: string): AsyncIterable<{
+        name: string;
+        value?: string;
+    }>;
+    get(name: string): Promise<string | undefined>;
+    put(name: string, value: string): Promise<void>;
+    remove(name: string): Promise<void>;
+    /**
+     * Versions of a secret in any order, empty when it is not set. Backends
+     * without history leave this out.
+     */
+    history?(name: string): Promise<SecretVersion[]>;
+}
+export type SecretBackendName = "ssm" | "secrets-manager" | "file";
+type SecretsConfig = Pick<ConfigOptions, "name" | "secrets">;
+export declare const useSecretBackend: () => SecretBackend;
+/**
+ * Creates the backend a stage's config selects, other stages of the app can
+ * use a different one than the current stage
+ */
+export declare function createSecretBackend(config: SecretsConfig): SecretBackend;
+export declare function secretBackendName(config?: SecretsConfig): SecretBackendName;
+export declare function secretFilePaths(config?: SecretsConfig): {
+    file: string;
+    key: string;
+};
+export declare function createSSMBackend(): SecretBackend;
+/**
+ * Stores each secret as its own Secrets Manager secret, named after the SSM
+ * path it would otherwise use so both can be told apart by stage. Secrets
+ * Manager identifies versions by ID, they're numbered in the order they were
+ * created and it drops old ones on its own.
+ */
+export declare function createSecretsManagerBackend(): SecretBackend;
+/**
+ * Keeps secrets in a local file encrypted with AES-256-GCM for offline
+ * development. The key is read from SST_SECRETS_KEY or generated on first use.
+ * Deployed functions cannot read this file.
+ */
+export declare function createFileBackend(file: string, keyFile: string): SecretBackend;
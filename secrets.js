@@ -0,0 +1,318 @@
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import fs from "fs/promises";
+import { DeleteParameterCommand, GetParameterCommand, GetParameterHistoryCommand, GetParametersByPathCommand, PutParameterCommand, SSMClient, } from "@aws-sdk/client-ssm";
+import { BatchGetSecretValueCommand, CreateSecretCommand, DeleteSecretCommand, GetSecretValueCommand, ListSecretVersionIdsCommand, PutSecretValueCommand, SecretsManagerClient, } from "@aws-sdk/client-secrets-manager";
+import { useAWSClient } from "./credentials.js";
+import { useProject } from "./project.js";
+import { VisibleError } from "./error.js";
+import { Logger } from "./logger.js";
+import { lazy } from "./util/lazy.js";
+export const useSecretBackend = lazy(() => createSecretBackend(useProject().config));
+/**
+ * Creates the backend a stage's config selects, other stages of the app can
+ * use a different one than the current stage
+ */
+export function createSecretBackend(config) {
+    const backend = secretBackendName(config);
+    Logger.debug("Using secret backend", backend);
+    if (backend === "ssm")
+        return createSSMBackend();
+    if (backend === "secrets-manager")
+        return createSecretsManagerBackend();
+    if (backend === "file") {
+        const paths = secretFilePaths(config);
+        return createFileBackend(paths.file, paths.key);
+    }
+    throw new VisibleError(`Unknown secrets backend "${backend}"`);
+}
+export function secretBackendName(config = useProject().config) {
+    return config.secrets?.backend || "ssm";
+}
+// The key is kept outside the project so the encrypted file can be shared
+// without handing out the key with it
+export function secretFilePaths(config = useProject().config) {
+    const project = useProject();
+    return {
+        file: path.resolve(project.paths.root, config.secrets?.file || path.join(".sst", "secrets.enc")),
+        key: path.join(os.homedir(), ".sst", "secrets", `${config.name}.key`),
+    };
+}
+export function createSSMBackend() {
+    const ssm = useAWSClient(SSMClient);
+    function put(name, value) {
+        return ssm.send(new PutParameterCommand({
+            Name: name,
+            Value: value,
+            Type: "SecureString",
+            Overwrite: true,
+            Tier: value.length > 4096 ? "Advanced" : "Standard",
+        }));
+    }
+    return {
+        name: "ssm",
+        async *list(prefix) {
+            let token;
+            while (true) {
+                const results = await ssm.send(new GetParametersByPathCommand({
+                    Path: prefix,
+                    WithDecryption: true,
+                    Recursive: true,
+                    NextToken: token,
+                }));
+                for (const p of results.Parameters || []) {
+                    yield { name: p.Name, value: p.Value };
+                }
+                if (!results.NextToken)
+                    break;
+                token = results.NextToken;
+            }
+        },
+        async get(name) {
+            const result = await ssm.send(new GetParameterCommand({
+                Name: name,
+                WithDecryption: true,
+            }));
+            return result.Parameter?.Value;
+        },
+        async put(name, value) {
+            try {
+                await put(name, value);
+            }
+            catch (e) {
+                // If the parameter was previously ADVANCED, re-create it in STANDARD tier.
+                const wasAdvanced = e.name === "ValidationException" &&
+                    e.message.startsWith("This parameter uses the advanced-parameter tier. You can't downgrade a parameter from the advanced-parameter tier to the standard-parameter tier.");
+                if (!wasAdvanced)
+                    throw e;
+                await ssm.send(new DeleteParameterCommand({ Name: name }));
+                await put(name, value);
+            }
+        },
+        async remove(name) {
+            await ssm.send(new DeleteParameterCommand({ Name: name }));
+        },
+        async history(name) {
+            const result = [];
+            let token;
+            while (true) {
+                const results = await ssm
+                    .send(new GetParameterHistoryCommand({
+                    Name: name,
+                    WithDecryption: true,
+                    NextToken: token,
+                }))
+                    .catch((e) => {
+                    if (e.name === "ParameterNotFound")
+                        return {};
+                    throw e;
+                });
+                for (const p of results.Parameters || []) {
+                    result.push({
+                        version: p.Version,
+                        value: p.Value,
+                        updatedAt: p.LastModifiedDate,
+                        updatedBy: p.LastModifiedUser,
+                    });
+                }
+                if (!results.NextToken)
+                    break;
+                token = results.NextToken;
+            }
+            return result;
+        },
+    };
+}
+/**
+ * Stores each secret as its own Secrets Manager secret, named after the SSM
+ * path it would otherwise use so both can be told apart by stage. Secrets
+ * Manager identifies versions by ID, they're numbered in the order they were
+ * created and it drops old ones on its own.
+ */
+export function createSecretsManagerBackend() {
+    const client = useAWSClient(SecretsManagerClient);
+    return {
+        name: "secrets-manager",
+        async *list(prefix) {
+            let token;
+            while (true) {
+                const results = await client.send(new BatchGetSecretValueCommand({
+                    Filters: [{ Key: "name", Values: [prefix] }],
+                    MaxResults: 20,
+                    NextToken: token,
+                }));
+                for (const secret of results.SecretValues || []) {
+                    // The name filter also matches in the middle of the name
+                    if (!secret.Name?.startsWith(prefix))
+                        continue;
+                    yield { name: secret.Name, value: secret.SecretString };
+                }
+                if (!results.NextToken)
+                    break;
+                token = results.NextToken;
+            }
+        },
+        async get(name) {
+            const result = await client.send(new GetSecretValueCommand({
+                SecretId: name,
+            }));
+            return result.SecretString;
+        },
+        async put(name, value) {
+            try {
+                await client.send(new PutSecretValueCommand({
+                    SecretId: name,
+                    SecretString: value,
+                }));
+            }
+            catch (e) {
+                if (e.name !== "ResourceNotFoundException")
+                    throw e;
+                await client.send(new CreateSecretCommand({
+                    Name: name,
+                    SecretString: value,
+                }));
+            }
+        },
+        async remove(name) {
+            await client.send(new DeleteSecretCommand({
+                SecretId: name,
+                ForceDeleteWithoutRecovery: true,
+            }));
+        },
+        async history(name) {
+            const versions = [];
+            let token;
+            while (true) {
+                const results = await client
+                    .send(new ListSecretVersionIdsCommand({
+                    SecretId: name,
+                    IncludeDeprecated: true,
+                    NextToken: token,
+                }))
+                    .catch((e) => {
+                    if (e.name === "ResourceNotFoundException")
+                        return {};
+                    throw e;
+                });
+                versions.push(...(results.Versions || []));
+                if (!results.NextToken)
+                    break;
+                token = results.NextToken;
+            }
+            // A rotation that hasn't finished yet isn't a version to restore
+            const restorable = versions
+                .filter((item) => item.VersionStages?.length !== 1 ||
+                item.VersionStages[0] !== "AWSPENDING")
+                .sort((a, b) => a.CreatedDate.getTime() - b.CreatedDate.getTime());
+            return Promise.all(restorable.map(async (item, index) => {
+                const result = await client.send(new GetSecretValueCommand({
+                    SecretId: name,
+                    VersionId: item.VersionId,
+                }));
+                return {
+                    version: index + 1,
+                    value: result.SecretString,
+                    updatedAt: item.CreatedDate,
+                };
+            }));
+        },
+    };
+}
+/**
+ * Keeps secrets in a local file encrypted with AES-256-GCM for offline
+ * development. The key is read from SST_SECRETS_KEY or from keyFile, which is
+ * generated on first use.
+ * Deployed functions cannot read this file.
+ */
+export function createFileBackend(file, keyFile) {
+    async function useKey() {
+        if (process.env.SST_SECRETS_KEY)
+            return Buffer.from(process.env.SST_SECRETS_KEY, "base64");
+        try {
+            return Buffer.from((await fs.readFile(keyFile)).toString(), "base64");
+        }
+        catch {
+            Logger.debug("Generating secrets key", keyFile);
+            const key = crypto.randomBytes(32);
+            await fs.mkdir(path.dirname(keyFile), { recursive: true });
+            await fs.writeFile(keyFile, key.toString("base64"), { mode: 0o600 });
+            return key;
+        }
+    }
+    async function read() {
+        const contents = await fs.readFile(file).catch(() => undefined);
+        if (!contents)
+            return {};
+        const { iv, tag, data } = JSON.parse(contents.toString());
+        const decipher = crypto.createDecipheriv("aes-256-gcm", await useKey(), Buffer.from(iv, "base64"));
+        decipher.setAuthTag(Buffer.from(tag, "base64"));
+        try {
+            return JSON.parse(Buffer.concat([
+                decipher.update(Buffer.from(data, "base64")),
+                decipher.final(),
+            ]).toString());
+        }
+        catch {
+            throw new VisibleError(`Could not decrypt "${file}", make sure SST_SECRETS_KEY is the key it was encrypted with`);
+        }
+    }
+    async function write(secrets) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv("aes-256-gcm", await useKey(), iv);
+        const data = Buffer.concat([
+            cipher.update(JSON.stringify(secrets)),
+            cipher.final(),
+        ]);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify({
+            iv: iv.toString("base64"),
+            tag: cipher.getAuthTag().toString("base64"),
+            data: data.toString("base64"),
+        }, null, 2));
+    }
+    return {
+        name: "file",
+        async *list(prefix) {
+            const secrets = await read();
+            for (const [name, versions] of Object.entries(secrets)) {
+                if (!name.startsWith(prefix))
+                    continue;
+                yield { name, value: versions[versions.length - 1].value };
+            }
+        },
+        async get(name) {
+            const versions = (await read())[name];
+            if (!versions)
+                throw new VisibleError(`Secret "${name}" is not set`);
+            return versions[versions.length - 1].value;
+        },
+        async put(name, value) {
+            const secrets = await read();
+            const versions = secrets[name] || [];
+            versions.push({
+                version: (versions[versions.length - 1]?.version || 0) + 1,
+                value,
+                updatedAt: new Date().toISOString(),
+                updatedBy: os.userInfo().username,
+            });
+            secrets[name] = versions;
+            await write(secrets);
+        },
+        async remove(name) {
+            const secrets = await read();
+            if (!secrets[name])
+                throw new VisibleError(`Secret "${name}" is not set`);
+            delete secrets[name];
+            await write(secrets);
+        },
+        async history(name) {
+            const versions = (await read())[name] || [];
+            return versions.map((item) => ({
+                ...item,
+                updatedAt: new Date(item.updatedAt),
+            }));
+        },
+    };
+}
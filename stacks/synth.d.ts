@@ -1,8 +1,17 @@
 import type { App } from "../constructs/App.js";
+import type { Metadata } from "../constructs/Metadata.js";
+declare module "../bus.js" {
+    interface Events {
+        "stacks.synthesized": {
+            metadata: Metadata[];
+        };
+    }
+}
 interface SynthOptions {
     buildDir?: string;
     outDir?: string;
     increaseTimeout?: boolean;
+    offline?: boolean;
     scriptVersion?: string;
     mode: App["mode"];
     fn: (app: App) => Promise<void> | void;
@@ -4,9 +4,10 @@ import { useAWSProvider, useSTSIdentity } from "../credentials.js";
 import * as contextproviders from "sst-aws-cdk/lib/context-providers/index.js";
 import path from "path";
 import { VisibleError } from "../error.js";
+import { useBus } from "../bus.js";
 export async function synth(opts) {
     Logger.debug("Synthesizing stacks...");
-    const { App } = await import("../constructs/App.js");
+    const { App, useConstructMetadata } = await import("../constructs/App.js");
     const { useNodeHandler } = await import("../runtime/handlers/node.js");
     const { useGoHandler } = await import("../runtime/handlers/go.js");
     const { useContainerHandler } = await import("../runtime/handlers/container.js");
@@ -18,7 +19,9 @@ export async function synth(opts) {
     const cxapi = await import("@aws-cdk/cx-api");
     const { Configuration } = await import("sst-aws-cdk/lib/settings.js");
     const project = useProject();
-    const identity = await useSTSIdentity();
+    // Offline builds can't look up the account, the app falls back to
+    // CDK_DEFAULT_ACCOUNT instead
+    const identity = opts.offline ? undefined : await useSTSIdentity();
     opts = {
         ...opts,
         buildDir: opts.buildDir || path.join(project.paths.out, "dist"),
@@ -37,12 +40,13 @@ export async function synth(opts) {
     let previous = new Set();
     while (true) {
         const app = new App({
-            account: identity.Account,
+            account: identity?.Account,
             stage: project.config.stage,
             name: project.config.name,
             region: project.config.region,
             mode: opts.mode,
             debugIncreaseTimeout: opts.increaseTimeout,
+            debugOffline: opts.offline,
             debugScriptVersion: opts.scriptVersion,
             isActiveStack: opts.isActiveStack,
         }, {
@@ -57,9 +61,11 @@ export async function synth(opts) {
         const assembly = app.synth();
         Logger.debug(assembly.manifest.missing);
         const { missing } = assembly.manifest;
-        const provider = await useAWSProvider();
         if (missing && missing.length) {
             const next = missing.map((x) => x.key);
+            if (opts.offline)
+                throw new VisibleError(`Could not resolve context values for ${next.join(", ")} while offline. Run "sst dev" without "--offline" once to cache them in cdk.context.json.`);
+            const provider = await useAWSProvider();
             if (next.length === previous.size && next.every((x) => previous.has(x)))
                 throw new VisibleError(formatErrorMessage(next.join("")));
             Logger.debug("Looking up context for:", next, "Previous:", previous);
@@ -71,6 +77,9 @@ export async function synth(opts) {
             continue;
         }
         Logger.debug("Finished synthesizing");
+        useBus().publish("stacks.synthesized", {
+            metadata: useConstructMetadata().all,
+        });
         return assembly;
     }
 }
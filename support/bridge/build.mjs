@@ -0,0 +1,20 @@
+// Bundles src/bridge.mjs into the bridge.mjs that is deployed for live
+// functions, run it after changing the source or the shared transports
+import path from "path";
+import url from "url";
+import esbuild from "esbuild";
+const dir = path.dirname(url.fileURLToPath(import.meta.url));
+await esbuild.build({
+    entryPoints: [path.join(dir, "src", "bridge.mjs")],
+    outfile: path.join(dir, "bridge.mjs"),
+    bundle: true,
+    minify: true,
+    platform: "node",
+    target: "node18",
+    format: "esm",
+    // Optional native addons of ws
+    external: ["bufferutil", "utf-8-validate"],
+    banner: {
+        js: `import { createRequire as topLevelCreateRequire } from 'module';const require = topLevelCreateRequire(import.meta.url);`,
+    },
+});
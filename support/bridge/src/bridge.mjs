@@ -0,0 +1,155 @@
+// Source of ../bridge.mjs, rebuild it with `node support/bridge/build.mjs`
+import crypto from "crypto";
+import iot from "aws-iot-device-sdk";
+import { IoTClient, DescribeEndpointCommand } from "@aws-sdk/client-iot";
+import { S3Client, GetObjectCommand, DeleteObjectCommand, } from "@aws-sdk/client-s3";
+import { createIOTDeviceTransport, createRedisTransport, createWebSocketTransport, } from "../../../util/bridge-transport.js";
+const s3 = new S3Client({});
+const workerID = crypto.randomBytes(16).toString("hex");
+const prefix = `/sst/${process.env.SST_APP}/${process.env.SST_STAGE}`;
+// Set by Lambda or by sst itself, the rest is forwarded to the local worker
+const IGNORED_ENV = {
+    SST_DEBUG_ENDPOINT: true,
+    SST_DEBUG_SRC_HANDLER: true,
+    SST_DEBUG_SRC_PATH: true,
+    SST_BRIDGE_TRANSPORT: true,
+    SST_BRIDGE_URL: true,
+    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: true,
+    AWS_LAMBDA_LOG_GROUP_NAME: true,
+    AWS_LAMBDA_LOG_STREAM_NAME: true,
+    LD_LIBRARY_PATH: true,
+    LAMBDA_TASK_ROOT: true,
+    AWS_LAMBDA_RUNTIME_API: true,
+    AWS_EXECUTION_ENV: true,
+    AWS_XRAY_DAEMON_ADDRESS: true,
+    AWS_LAMBDA_INITIALIZATION_TYPE: true,
+    PATH: true,
+    PWD: true,
+    LAMBDA_RUNTIME_DIR: true,
+    LANG: true,
+    NODE_PATH: true,
+    TZ: true,
+    SHLVL: true,
+    _AWS_XRAY_DAEMON_ADDRESS: true,
+    _AWS_XRAY_DAEMON_PORT: true,
+    AWS_XRAY_CONTEXT_MISSING: true,
+    _HANDLER: true,
+    _LAMBDA_CONSOLE_SOCKET: true,
+    _LAMBDA_CONTROL_SOCKET: true,
+    _LAMBDA_LOG_FD: true,
+    _LAMBDA_RUNTIME_LOAD_TIME: true,
+    _LAMBDA_SB_ID: true,
+    _LAMBDA_SERVER_PORT: true,
+    _LAMBDA_SHARED_MEM_FD: true,
+};
+const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => IGNORED_ENV[key] !== true));
+async function createTransport(transport, url) {
+    if (transport === "websocket")
+        return createWebSocketTransport(url, console.log);
+    if (transport === "redis")
+        return createRedisTransport(url, console.log);
+    const response = await new IoTClient({}).send(new DescribeEndpointCommand({
+        endpointType: "iot:Data-ATS",
+    }));
+    const device = new iot.device({
+        protocol: "wss",
+        debug: true,
+        host: response.endpointAddress,
+        region: env.AWS_REGION,
+    });
+    return createIOTDeviceTransport(device, console.log);
+}
+const fragments = new Map();
+let onMessage;
+const transport = await createTransport(process.env.SST_BRIDGE_TRANSPORT || "iot", process.env.SST_BRIDGE_URL);
+transport.subscribe(`${prefix}/events/${workerID}`, async (message) => {
+    const fragment = JSON.parse(message);
+    console.log("Got fragment", fragment.id, fragment.index);
+    let pending = fragments.get(fragment.id);
+    if (!pending) {
+        pending = new Map();
+        fragments.set(fragment.id, pending);
+    }
+    pending.set(fragment.index, fragment);
+    if (pending.size !== fragment.count)
+        return;
+    console.log("Got all fragments", fragment.id);
+    fragments.delete(fragment.id);
+    const data = [...pending.values()]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.data)
+        .join("");
+    const evt = JSON.parse(data);
+    if (evt.type === "pointer") {
+        console.log("Got pointer", evt.properties);
+        const result = await s3.send(new GetObjectCommand({
+            Key: evt.properties.key,
+            Bucket: evt.properties.bucket,
+        }));
+        const body = await result.Body.transformToString();
+        onMessage(JSON.parse(body));
+        await s3.send(new DeleteObjectCommand({
+            Key: evt.properties.key,
+            Bucket: evt.properties.bucket,
+        }));
+        return;
+    }
+    onMessage(evt);
+});
+export async function handler(event, context) {
+    const result = await new Promise((resolve) => {
+        const timeout = setTimeout(() => {
+            resolve({ type: "function.timeout" });
+        }, 5000);
+        onMessage = (evt) => {
+            if (evt.type === "function.ack" &&
+                evt.properties.workerID === workerID)
+                clearTimeout(timeout);
+            if (["function.success", "function.error"].includes(evt.type) &&
+                evt.properties.workerID === workerID) {
+                clearTimeout(timeout);
+                resolve(evt);
+            }
+        };
+        for (const fragment of createFragments({
+            type: "function.invoked",
+            properties: {
+                workerID,
+                requestID: context.awsRequestId,
+                functionID: process.env.SST_FUNCTION_ID,
+                deadline: context.getRemainingTimeInMillis(),
+                event,
+                context,
+                env,
+            },
+        })) {
+            transport.publish(`${prefix}/events`, JSON.stringify(fragment));
+        }
+    });
+    console.log("Got result", result.type);
+    if (result.type === "function.timeout") {
+        return {
+            statusCode: 500,
+            body: "This function is in live debug mode but did not get a response from your machine. If you do have an `sst dev` session running and this is the first time you have ever run SST in this AWS account, it can take 10 minutes for AWS to provision the underlying infrastructure. Check back shortly.",
+        };
+    }
+    if (result.type === "function.success")
+        return result.properties.body;
+    if (result.type === "function.error") {
+        const error = new Error(result.properties.errorMessage);
+        error.stack = result.properties.trace?.join("\n");
+        throw error;
+    }
+}
+function createFragments(evt) {
+    const parts = JSON.stringify(evt).match(/.{1,100000}/g);
+    if (!parts)
+        return [];
+    const id = Math.random().toString();
+    return parts.map((data, index) => ({
+        id,
+        index,
+        count: parts.length,
+        data,
+    }));
+}
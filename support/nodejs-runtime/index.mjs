@@ -1,12 +1,26 @@
 import { createRequire as topLevelCreateRequire } from 'module';const require = topLevelCreateRequire(import.meta.url);
 
 // support/nodejs-runtime/index.ts
-import { workerData } from "node:worker_threads";
+import { workerData, parentPort } from "node:worker_threads";
+import inspector from "node:inspector";
 import path from "path";
 import fs from "fs";
 import http from "http";
 import url from "url";
 var input = workerData;
+if (input.inspect) {
+  try {
+    inspector.open(input.inspect.port, "127.0.0.1");
+    const inspectorUrl = inspector.url();
+    if (!inspectorUrl)
+      throw new Error("the port is already in use");
+    parentPort?.postMessage({ type: "inspector", url: inspectorUrl });
+  } catch (ex) {
+    console.error(
+      `Could not start the debugger on port ${input.inspect.port}: ${ex.message}`
+    );
+  }
+}
 var parsed = path.parse(input.handler);
 var file = [".js", ".jsx", ".mjs", ".cjs"].map((ext) => path.join(input.out, parsed.dir, parsed.name + ext)).find((file2) => {
   return fs.existsSync(file2);
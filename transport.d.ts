@@ -0,0 +1,5 @@
+import { BridgeTransport } from "./util/bridge-transport.js";
+export type { BridgeTransport };
+export declare const useIOTEndpoint: () => Promise<string>;
+export declare const useBridgeTransport: () => Promise<BridgeTransport>;
+export declare function createIOTTransport(): Promise<BridgeTransport>;
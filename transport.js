@@ -0,0 +1,49 @@
+import iot from "aws-iot-device-sdk";
+import { IoTClient, DescribeEndpointCommand } from "@aws-sdk/client-iot";
+import { useAWSClient, useAWSCredentials } from "./credentials.js";
+import { useProject } from "./project.js";
+import { VisibleError } from "./error.js";
+import { Logger } from "./logger.js";
+import { lazy } from "./util/lazy.js";
+import { createIOTDeviceTransport, createRedisTransport, createWebSocketTransport, } from "./util/bridge-transport.js";
+export const useIOTEndpoint = lazy(async () => {
+    const iot = useAWSClient(IoTClient);
+    Logger.debug("Getting IoT endpoint");
+    const response = await iot.send(new DescribeEndpointCommand({
+        endpointType: "iot:Data-ATS",
+    }));
+    Logger.debug("Using IoT endpoint:", response.endpointAddress);
+    if (!response.endpointAddress)
+        throw new VisibleError("IoT Endpoint address not found");
+    return response.endpointAddress;
+});
+export const useBridgeTransport = lazy(async () => {
+    const project = useProject();
+    const config = project.config.bridge || {};
+    const transport = config.transport || "iot";
+    Logger.debug("Using bridge transport", transport);
+    if (transport === "iot")
+        return createIOTTransport();
+    if (!config.url)
+        throw new VisibleError(`The "${transport}" bridge transport requires a "url" in the "bridge" section of your sst.config`);
+    if (transport === "websocket")
+        return createWebSocketTransport(config.url, Logger.debug);
+    if (transport === "redis")
+        return createRedisTransport(config.url, Logger.debug);
+    throw new VisibleError(`Unknown bridge transport "${transport}"`);
+});
+export async function createIOTTransport() {
+    const project = useProject();
+    const endpoint = await useIOTEndpoint();
+    const creds = await useAWSCredentials();
+    const device = new iot.device({
+        protocol: "wss",
+        host: endpoint,
+        region: project.config.region,
+        accessKeyId: creds.accessKeyId,
+        secretKey: creds.secretAccessKey,
+        sessionToken: creds.sessionToken,
+        reconnectPeriod: 1,
+    });
+    return createIOTDeviceTransport(device, Logger.debug);
+}
@@ -0,0 +1,44 @@
+export interface AuthKey {
+    kid: string;
+    /**
+     * `next` keys are published but not used for signing yet, `previous`
+     * keys only verify tokens signed before the last rotation
+     */
+    status: "next" | "current" | "previous";
+    publicKey: string;
+    privateKey?: string;
+}
+/**
+ * The key ID is the JWK thumbprint of the public key (RFC 7638) so it can be
+ * derived for keys created before keys had IDs
+ */
+export declare function keyID(publicKey: string): string;
+/**
+ * Parses the value of the PublicKeys or PrivateKey secret of an Auth, or the
+ * PEM of its PublicKey secret. The PrivateKey secret holds a single PEM until
+ * the keys are first rotated.
+ */
+export declare function parseKeys(value: string | undefined): AuthKey[];
+/**
+ * Serializes keys into the values of the Auth secrets. PublicKey keeps the
+ * PEM of the current key so existing readers of `Auth.<id>.publicKey` work,
+ * the full set goes to PublicKeys.
+ */
+export declare function serializeKeys(keys: AuthKey[]): {
+    publicKey: string;
+    publicKeys: string;
+    privateKey: string;
+};
+/**
+ * Moves the keys one phase forward. Without a `next` key a new one is
+ * created, it's published so verifiers can pick it up before anything is
+ * signed with it. Otherwise the `next` key starts signing, the `current` key
+ * is kept to verify existing tokens and the `previous` key is dropped.
+ */
+export declare function rotateKeys(keys: AuthKey[]): AuthKey[];
+/**
+ * Formats the public keys as a JSON Web Key Set
+ */
+export declare function toJWKS(keys: AuthKey[]): {
+    keys: Record<string, any>[];
+};
@@ -0,0 +1,100 @@
+import { createHash, createPublicKey, generateKeyPairSync } from "crypto";
+/**
+ * The key ID is the JWK thumbprint of the public key (RFC 7638) so it can be
+ * derived for keys created before keys had IDs
+ */
+export function keyID(publicKey) {
+    const jwk = createPublicKey(publicKey).export({ format: "jwk" });
+    return createHash("sha256")
+        .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+        .digest("base64url");
+}
+/**
+ * Parses the value of the PublicKeys or PrivateKey secret of an Auth, or the
+ * PEM of its PublicKey secret. The PrivateKey secret holds a single PEM until
+ * the keys are first rotated.
+ */
+export function parseKeys(value) {
+    if (!value)
+        return [];
+    if (value.trim().startsWith("-----")) {
+        const isPrivate = value.includes("PRIVATE KEY");
+        const publicKey = isPrivate ? toPublicKey(value) : value;
+        return [
+            {
+                kid: keyID(publicKey),
+                status: "current",
+                publicKey,
+                privateKey: isPrivate ? value : undefined,
+            },
+        ];
+    }
+    return JSON.parse(value).map((key) => ({
+        ...key,
+        publicKey: key.publicKey || toPublicKey(key.privateKey),
+    }));
+}
+function toPublicKey(privateKey) {
+    return createPublicKey(privateKey)
+        .export({ type: "spki", format: "pem" })
+        .toString();
+}
+/**
+ * Serializes keys into the values of the Auth secrets. PublicKey keeps the
+ * PEM of the current key so existing readers of `Auth.<id>.publicKey` work,
+ * the full set goes to PublicKeys.
+ */
+export function serializeKeys(keys) {
+    const current = keys.find((key) => key.status === "current");
+    return {
+        publicKey: current.publicKey,
+        publicKeys: JSON.stringify(keys.map((key) => ({
+            kid: key.kid,
+            status: key.status,
+            publicKey: key.publicKey,
+        }))),
+        privateKey: JSON.stringify(keys.map((key) => ({
+            kid: key.kid,
+            status: key.status,
+            privateKey: key.privateKey,
+        }))),
+    };
+}
+/**
+ * Moves the keys one phase forward. Without a `next` key a new one is
+ * created, it's published so verifiers can pick it up before anything is
+ * signed with it. Otherwise the `next` key starts signing, the `current` key
+ * is kept to verify existing tokens and the `previous` key is dropped.
+ */
+export function rotateKeys(keys) {
+    if (keys.some((key) => key.status === "next")) {
+        return keys
+            .filter((key) => key.status !== "previous")
+            .map((key) => ({
+            ...key,
+            status: key.status === "next" ? "current" : "previous",
+        }));
+    }
+    const { publicKey, privateKey } = generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: "spki", format: "pem" },
+        privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+    return [
+        ...keys,
+        { kid: keyID(publicKey), status: "next", publicKey, privateKey },
+    ];
+}
+/**
+ * Formats the public keys as a JSON Web Key Set
+ */
+export function toJWKS(keys) {
+    return {
+        keys: keys.map((key) => ({
+            ...createPublicKey(key.publicKey).export({ format: "jwk" }),
+            kid: key.kid,
+            alg: "RS512",
+            use: "sig",
+        })),
+    };
+}
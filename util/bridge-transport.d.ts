@@ -0,0 +1,30 @@
+export interface BridgeTransport {
+    /**
+     * Payloads larger than this are uploaded to the bootstrap bucket and sent
+     * as a pointer. Leave unset for transports without a size limit.
+     */
+    maxPayloadSize?: number;
+    subscribe(topic: string, cb: (message: string) => void): void;
+    publish(topic: string, message: string): Promise<void>;
+}
+type Debug = (...parts: any[]) => void;
+/**
+ * Wraps a connected aws-iot-device-sdk device, IoT Core rejects messages over
+ * 128KB so payloads are split into fragments, anything larger than
+ * `maxPayloadSize` is uploaded to the bootstrap bucket and sent as a pointer
+ * instead
+ */
+export declare function createIOTDeviceTransport(device: any, debug?: Debug): BridgeTransport;
+/**
+ * Connects to a WebSocket broker that speaks a minimal pub/sub protocol.
+ * Clients send `{ action: "subscribe", topic }` and
+ * `{ action: "publish", topic, message }`, the broker forwards
+ * `{ topic, message }` to every subscriber of the topic.
+ */
+export declare function createWebSocketTransport(url: string, debug?: Debug): BridgeTransport;
+/**
+ * Uses Redis pub/sub channels as topics. Works with any broker that speaks
+ * the Redis protocol, ie. `redis://:password@localhost:6379`
+ */
+export declare function createRedisTransport(url: string, debug?: Debug): BridgeTransport;
+export {};
@@ -0,0 +1,244 @@
+import net from "net";
+import { WebSocket } from "ws";
+/**
+ * Wraps a connected aws-iot-device-sdk device, IoT Core rejects messages over
+ * 128KB so payloads are split into fragments, anything larger than
+ * `maxPayloadSize` is uploaded to the bootstrap bucket and sent as a pointer
+ * instead
+ */
+export function createIOTDeviceTransport(device, debug = () => { }) {
+    const listeners = new Map();
+    device.on("connect", () => {
+        debug("IoT connected");
+    });
+    device.on("error", (err) => {
+        debug("IoT error", err);
+    });
+    device.on("close", () => {
+        debug("IoT closed");
+    });
+    device.on("reconnect", () => {
+        debug("IoT reconnected");
+    });
+    device.on("message", (topic, buffer) => {
+        listeners.get(topic)?.(buffer.toString());
+    });
+    return {
+        maxPayloadSize: 1024 * 1024 * 3,
+        subscribe(topic, cb) {
+            listeners.set(topic, cb);
+            device.subscribe(topic, { qos: 1 });
+        },
+        publish(topic, message) {
+            return new Promise((resolve) => {
+                device.publish(topic, message, { qos: 1 }, () => resolve());
+            });
+        },
+    };
+}
+/**
+ * Connects to a WebSocket broker that speaks a minimal pub/sub protocol.
+ * Clients send `{ action: "subscribe", topic }` and
+ * `{ action: "publish", topic, message }`, the broker forwards
+ * `{ topic, message }` to every subscriber of the topic.
+ */
+export function createWebSocketTransport(url, debug = () => { }) {
+    const listeners = new Map();
+    const queue = [];
+    let socket;
+    function connect() {
+        socket = new WebSocket(url);
+        socket.on("open", () => {
+            debug("WebSocket bridge connected", url);
+            for (const topic of listeners.keys()) {
+                socket.send(JSON.stringify({ action: "subscribe", topic }));
+            }
+            for (const item of queue.splice(0, queue.length)) {
+                socket.send(item.data, () => item.resolve());
+            }
+        });
+        socket.on("message", (data) => {
+            let parsed;
+            try {
+                parsed = JSON.parse(data.toString());
+            }
+            catch {
+                debug("WebSocket bridge received invalid message", data.toString());
+                return;
+            }
+            listeners.get(parsed.topic)?.(parsed.message);
+        });
+        socket.on("error", (err) => {
+            debug("WebSocket bridge error", err);
+        });
+        socket.on("close", () => {
+            debug("WebSocket bridge closed, reconnecting");
+            setTimeout(connect, 1000);
+        });
+    }
+    function send(payload) {
+        const data = JSON.stringify(payload);
+        return new Promise((resolve) => {
+            if (socket.readyState !== WebSocket.OPEN) {
+                queue.push({ data, resolve });
+                return;
+            }
+            socket.send(data, () => resolve());
+        });
+    }
+    connect();
+    return {
+        subscribe(topic, cb) {
+            listeners.set(topic, cb);
+            if (socket.readyState === WebSocket.OPEN)
+                send({ action: "subscribe", topic });
+        },
+        publish(topic, message) {
+            return send({ action: "publish", topic, message });
+        },
+    };
+}
+/**
+ * Uses Redis pub/sub channels as topics. Works with any broker that speaks
+ * the Redis protocol, ie. `redis://:password@localhost:6379`
+ */
+export function createRedisTransport(url, debug = () => { }) {
+    const parsed = new URL(url);
+    const listeners = new Map();
+    function connection(onReply) {
+        const pending = [];
+        let socket;
+        let ready = false;
+        let buffer = Buffer.alloc(0);
+        function connect() {
+            socket = net.connect(Number(parsed.port || 6379), parsed.hostname);
+            socket.on("connect", () => {
+                debug("Redis bridge connected", parsed.host);
+                ready = true;
+                if (parsed.password)
+                    socket.write(encodeCommand(parsed.username
+                        ? ["AUTH", decodeURIComponent(parsed.username), decodeURIComponent(parsed.password)]
+                        : ["AUTH", decodeURIComponent(parsed.password)]));
+                onReply({ type: "connect" });
+                for (const data of pending.splice(0, pending.length)) {
+                    socket.write(data);
+                }
+            });
+            socket.on("data", (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                while (true) {
+                    let result;
+                    try {
+                        result = decodeReply(buffer, 0);
+                    }
+                    catch (err) {
+                        // The stream can't be resynced after a bad reply so
+                        // start over with a fresh connection
+                        debug("Redis bridge error", err);
+                        socket.destroy();
+                        return;
+                    }
+                    if (!result)
+                        break;
+                    buffer = buffer.subarray(result.offset);
+                    if (result.value instanceof Error) {
+                        debug("Redis bridge error", result.value.message);
+                        continue;
+                    }
+                    onReply({ type: "reply", value: result.value });
+                }
+            });
+            socket.on("error", (err) => {
+                debug("Redis bridge error", err);
+            });
+            socket.on("close", () => {
+                debug("Redis bridge closed, reconnecting");
+                ready = false;
+                buffer = Buffer.alloc(0);
+                setTimeout(connect, 1000);
+            });
+        }
+        connect();
+        return {
+            send(args) {
+                const data = encodeCommand(args);
+                if (!ready) {
+                    pending.push(data);
+                    return;
+                }
+                socket.write(data);
+            },
+        };
+    }
+    // A connection in subscribe mode can't publish so two are needed
+    const subscriber = connection((evt) => {
+        if (evt.type === "connect") {
+            for (const topic of listeners.keys()) {
+                subscriber.send(["SUBSCRIBE", topic]);
+            }
+            return;
+        }
+        if (!Array.isArray(evt.value))
+            return;
+        const [kind, topic, message] = evt.value;
+        if (kind !== "message")
+            return;
+        listeners.get(topic)?.(message);
+    });
+    const publisher = connection(() => { });
+    return {
+        subscribe(topic, cb) {
+            listeners.set(topic, cb);
+            subscriber.send(["SUBSCRIBE", topic]);
+        },
+        async publish(topic, message) {
+            publisher.send(["PUBLISH", topic, message]);
+        },
+    };
+}
+function encodeCommand(args) {
+    return ([`*${args.length}\r\n`]
+        .concat(args.map((arg) => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`))
+        .join(""));
+}
+function decodeReply(buffer, offset) {
+    const end = buffer.indexOf("\r\n", offset);
+    if (end === -1)
+        return;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString("utf8", offset + 1, end);
+    const next = end + 2;
+    switch (type) {
+        case "+":
+            return { value: line, offset: next };
+        case "-":
+            return { value: new Error(line), offset: next };
+        case ":":
+            return { value: Number(line), offset: next };
+        case "$": {
+            const length = Number(line);
+            if (length === -1)
+                return { value: null, offset: next };
+            if (buffer.length < next + length + 2)
+                return;
+            return {
+                value: buffer.toString("utf8", next, next + length),
+                offset: next + length + 2,
+            };
+        }
+        case "*": {
+            const count = Number(line);
+            const items = [];
+            let cursor = next;
+            for (let i = 0; i < count; i++) {
+                const item = decodeReply(buffer, cursor);
+                if (!item)
+                    return;
+                items.push(item.value);
+                cursor = item.offset;
+            }
+            return { value: items, offset: cursor };
+        }
+    }
+    throw new Error(`Unexpected Redis reply type "${type}"`);
+}
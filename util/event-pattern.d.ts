@@ -0,0 +1,11 @@
+/**
+ * Checks an event against an EventBridge event pattern using the same
+ * content filtering rules, ie. prefix, suffix, anything-but, numeric, exists,
+ * equals-ignore-case, wildcard, cidr and $or.
+ *
+ * @example
+ * ```js
+ * matchEventPattern({ source: [{ prefix: "app." }] }, { source: "app.users" });
+ * ```
+ */
+export declare function matchEventPattern(pattern: Record<string, any>, event: Record<string, any>): boolean;
@@ -0,0 +1,127 @@
+/**
+ * Checks an event against an EventBridge event pattern using the same
+ * content filtering rules, ie. prefix, suffix, anything-but, numeric, exists,
+ * equals-ignore-case, wildcard, cidr and $or.
+ *
+ * @example
+ * ```js
+ * matchEventPattern({ source: [{ prefix: "app." }] }, { source: "app.users" });
+ * ```
+ */
+export function matchEventPattern(pattern, event) {
+    return matchObject(pattern, event);
+}
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+function matchObject(pattern, value) {
+    const target = isObject(value) ? value : {};
+    return Object.entries(pattern).every(([key, expected]) => {
+        if (key === "$or")
+            return expected.some((item) => matchObject(item, target));
+        const exists = Object.prototype.hasOwnProperty.call(target, key);
+        if (Array.isArray(expected))
+            return matchValues(expected, target[key], exists);
+        if (isObject(expected))
+            return matchObject(expected, target[key]);
+        throw new Error(`Invalid event pattern, "${key}" must be an array or an object`);
+    });
+}
+function matchValues(matchers, actual, exists) {
+    // Arrays in the event match when any of their items match
+    const values = Array.isArray(actual) ? actual : [actual];
+    return matchers.some((matcher) => {
+        if (isObject(matcher) && "exists" in matcher)
+            return matcher.exists === (exists && values.length > 0);
+        if (!exists)
+            return false;
+        return values.some((value) => matchValue(matcher, value));
+    });
+}
+function matchValue(matcher, value) {
+    if (!isObject(matcher))
+        return matcher === value;
+    if ("prefix" in matcher) {
+        if (typeof value !== "string")
+            return false;
+        return isObject(matcher.prefix)
+            ? value
+                .toLowerCase()
+                .startsWith(matcher.prefix["equals-ignore-case"].toLowerCase())
+            : value.startsWith(matcher.prefix);
+    }
+    if ("suffix" in matcher) {
+        if (typeof value !== "string")
+            return false;
+        return isObject(matcher.suffix)
+            ? value
+                .toLowerCase()
+                .endsWith(matcher.suffix["equals-ignore-case"].toLowerCase())
+            : value.endsWith(matcher.suffix);
+    }
+    if ("equals-ignore-case" in matcher) {
+        return (typeof value === "string" &&
+            value.toLowerCase() === matcher["equals-ignore-case"].toLowerCase());
+    }
+    if ("wildcard" in matcher) {
+        if (typeof value !== "string")
+            return false;
+        const source = matcher.wildcard
+            .split("*")
+            .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*");
+        return new RegExp(`^${source}$`).test(value);
+    }
+    if ("anything-but" in matcher) {
+        const excluded = matcher["anything-but"];
+        if (Array.isArray(excluded))
+            return !excluded.includes(value);
+        if (isObject(excluded))
+            return typeof value === "string" && !matchValue(excluded, value);
+        return value !== excluded;
+    }
+    if ("numeric" in matcher) {
+        if (typeof value !== "number")
+            return false;
+        const conditions = matcher.numeric;
+        for (let i = 0; i < conditions.length; i += 2) {
+            if (!compare(value, conditions[i], conditions[i + 1]))
+                return false;
+        }
+        return true;
+    }
+    if ("cidr" in matcher)
+        return typeof value === "string" && matchCidr(matcher.cidr, value);
+    throw new Error(`Unsupported event pattern matcher ${JSON.stringify(matcher)}`);
+}
+function compare(value, operator, expected) {
+    switch (operator) {
+        case "=":
+            return value === expected;
+        case "<":
+            return value < expected;
+        case "<=":
+            return value <= expected;
+        case ">":
+            return value > expected;
+        case ">=":
+            return value >= expected;
+    }
+    throw new Error(`Unsupported numeric operator "${operator}"`);
+}
+// Only IPv4 ranges are supported
+function matchCidr(cidr, value) {
+    const [range, bits] = cidr.split("/");
+    const toNumber = (ip) => {
+        const parts = ip.split(".").map(Number);
+        if (parts.length !== 4 || parts.some((part) => !(part >= 0 && part <= 255)))
+            return;
+        return parts.reduce((result, part) => result * 256 + part, 0);
+    };
+    const start = toNumber(range);
+    const ip = toNumber(value);
+    if (start === undefined || ip === undefined)
+        return false;
+    const size = 2 ** (32 - Number(bits ?? 32));
+    return Math.floor(ip / size) === Math.floor(start / size);
+}
@@ -0,0 +1,7 @@
+/**
+ * Parses an EventBridge schedule expression, `rate(...)` or `cron(...)`.
+ * Cron expressions are evaluated in UTC like EventBridge does.
+ */
+export declare function parseSchedule(expression: string): {
+    next(from: Date): Date | undefined;
+};
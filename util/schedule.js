@@ -0,0 +1,174 @@
+import { VisibleError } from "../error.js";
+const RATE_UNITS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+};
+const MONTHS = [
+    "JAN",
+    "FEB",
+    "MAR",
+    "APR",
+    "MAY",
+    "JUN",
+    "JUL",
+    "AUG",
+    "SEP",
+    "OCT",
+    "NOV",
+    "DEC",
+];
+const DAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+// Give up looking for the next run after this many days
+const MAX_DAYS = 366 * 5;
+/**
+ * Parses an EventBridge schedule expression, `rate(...)` or `cron(...)`.
+ * Cron expressions are evaluated in UTC like EventBridge does.
+ */
+export function parseSchedule(expression) {
+    const rate = expression.match(/^rate\(\s*(\d+)\s+(minutes?|hours?|days?)\s*\)$/);
+    if (rate) {
+        const value = Number(rate[1]);
+        const unit = rate[2].replace(/s$/, "");
+        if (value < 1 || (value === 1) !== (unit === rate[2]))
+            throw new VisibleError(`Invalid rate expression "${expression}"`);
+        const interval = value * RATE_UNITS[unit];
+        return {
+            next(from) {
+                return new Date(from.getTime() + interval);
+            },
+        };
+    }
+    const cron = expression.match(/^cron\((.*)\)$/);
+    if (!cron)
+        throw new VisibleError(`Invalid schedule expression "${expression}", use rate(...) or cron(...)`);
+    const fields = cron[1].trim().split(/\s+/);
+    if (fields.length !== 6)
+        throw new VisibleError(`Invalid cron expression "${expression}", it needs 6 fields`);
+    try {
+        const [minutes, hours, daysOfMonth, months, daysOfWeek, years] = fields;
+        const matchMinute = parseField(minutes, 0, 59);
+        const matchHour = parseField(hours, 0, 23);
+        const matchMonth = parseField(months, 1, 12, MONTHS);
+        const matchYear = parseField(years, 1970, 2199);
+        const matchDay = daysOfMonth === "?"
+            ? parseDayOfWeek(daysOfWeek)
+            : daysOfWeek === "?"
+                ? parseDayOfMonth(daysOfMonth)
+                : and(parseDayOfMonth(daysOfMonth), parseDayOfWeek(daysOfWeek));
+        return {
+            next(from) {
+                // Schedules have minute precision so the earliest run is at
+                // the start of the next minute
+                const start = new Date(from.getTime());
+                start.setUTCSeconds(0, 0);
+                start.setUTCMinutes(start.getUTCMinutes() + 1);
+                const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+                for (let i = 0; i < MAX_DAYS; i++) {
+                    if (matchYear(date.getUTCFullYear()) &&
+                        matchMonth(date.getUTCMonth() + 1) &&
+                        matchDay(date)) {
+                        for (let hour = 0; hour < 24; hour++) {
+                            if (!matchHour(hour))
+                                continue;
+                            for (let minute = 0; minute < 60; minute++) {
+                                if (!matchMinute(minute))
+                                    continue;
+                                const candidate = new Date(date.getTime() + hour * RATE_UNITS.hour + minute * RATE_UNITS.minute);
+                                if (candidate >= start)
+                                    return candidate;
+                            }
+                        }
+                    }
+                    date.setUTCDate(date.getUTCDate() + 1);
+                }
+            },
+        };
+    }
+    catch (e) {
+        throw new VisibleError(`Invalid cron expression "${expression}": ${e.message}`);
+    }
+}
+function and(a, b) {
+    return (date) => a(date) && b(date);
+}
+/**
+ * Supports `*`, lists, ranges and steps, ie. `1,5-10,*\/15`
+ */
+function parseField(input, min, max, names) {
+    const values = new Set();
+    const parse = (value) => {
+        const index = names?.indexOf(value.toUpperCase()) ?? -1;
+        const result = index === -1 ? Number(value) : index + min;
+        if (!Number.isInteger(result) || result < min || result > max)
+            throw new Error(`"${value}" is not between ${min} and ${max}`);
+        return result;
+    };
+    for (const part of input.split(",")) {
+        const [range, step] = part.split("/");
+        let [start, end] = range === "*" || range === "?"
+            ? [min, max]
+            : range.split("-").map(parse);
+        if (end === undefined)
+            end = step ? max : start;
+        const increment = step ? parse(step) : 1;
+        if (increment < 1)
+            throw new Error(`Invalid step "${step}"`);
+        for (let i = start; i <= end; i += increment)
+            values.add(i);
+    }
+    return (value) => values.has(value);
+}
+function daysInMonth(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+/**
+ * Also supports `L` for the last day of the month and `W` for the weekday
+ * nearest to a day, ie. `15W`
+ */
+function parseDayOfMonth(input) {
+    if (input === "L")
+        return (date) => date.getUTCDate() === daysInMonth(date);
+    const weekday = input.match(/^(\d+)W$/);
+    if (weekday) {
+        const day = Number(weekday[1]);
+        return (date) => {
+            const last = daysInMonth(date);
+            if (day > last)
+                return false;
+            const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), day));
+            let nearest = day;
+            // Never moves into another month
+            if (target.getUTCDay() === 6)
+                nearest = day === 1 ? 3 : day - 1;
+            if (target.getUTCDay() === 0)
+                nearest = day === last ? day - 2 : day + 1;
+            return date.getUTCDate() === nearest;
+        };
+    }
+    const match = parseField(input, 1, 31);
+    return (date) => match(date.getUTCDate());
+}
+/**
+ * Days are numbered from 1 (SUN) to 7 (SAT). Also supports `L` for the last
+ * day of the week, `5L` for the last Thursday of the month and `6#3` for the
+ * third Friday.
+ */
+function parseDayOfWeek(input) {
+    if (input === "L")
+        return (date) => date.getUTCDay() === 6;
+    const last = input.match(/^(\w+)L$/);
+    if (last) {
+        const day = parseField(last[1], 1, 7, DAYS);
+        return (date) => day(date.getUTCDay() + 1) && date.getUTCDate() + 7 > daysInMonth(date);
+    }
+    const nth = input.match(/^(\w+)#(\d)$/);
+    if (nth) {
+        const day = parseField(nth[1], 1, 7, DAYS);
+        const week = Number(nth[2]);
+        return (date) => day(date.getUTCDay() + 1) &&
+            Math.ceil(date.getUTCDate() / 7) === week;
+    }
+    const match = parseField(input, 1, 7, DAYS);
+    return (date) => match(date.getUTCDay() + 1);
+}